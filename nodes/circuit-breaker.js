@@ -0,0 +1,149 @@
+const path = require('path');
+const { write_json_atomic } = require('./json-file.js');
+
+// Circuit breaker per LLM platform
+//
+// After BREAKER_THRESHOLD consecutive failures (server errors, rate limits, network failures)
+// the breaker opens and calls fail immediately. Once the cooldown has passed, a single probe
+// call is let through (half-open): success closes the breaker, failure opens it again for
+// twice as long. The state of every platform is written to provider-health.json.
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+const HEALTH_FILE = path.join(CONFIG_PATH, 'provider-health.json');
+
+const BREAKER_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 60000;
+const MAX_BREAKER_COOLDOWN = 10 * 60 * 1000;
+
+const BREAKER_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// platform -> { state, failures, cooldown, openedAt, probing, lastError, updatedAt }
+const breakers = new Map();
+
+function get_breaker(platform) {
+  const key = String(platform).toLowerCase();
+  if (!breakers.has(key)) {
+    breakers.set(key, {
+      state: BREAKER_STATE.CLOSED,
+      failures: 0,
+      cooldown: BREAKER_COOLDOWN,
+      openedAt: null,
+      probing: false,
+      lastError: null,
+      updatedAt: Date.now()
+    });
+  }
+  return breakers.get(key);
+}
+
+function save_health() {
+  write_json_atomic(HEALTH_FILE, get_breaker_states(), 'provider health');
+}
+
+function set_state(platform, breaker, state, reason) {
+  if (breaker.state === state) return;
+  breaker.state = state;
+  breaker.updatedAt = Date.now();
+  console.log(`Circuit breaker for ${platform} -> ${state}${reason ? ` (${reason})` : ''}`);
+  save_health();
+}
+
+/**
+ * Whether the platform can be called now, without taking the half-open probe
+ * @param {string} platform - The platform
+ * @returns {boolean}
+ */
+function breaker_available(platform) {
+  const breaker = get_breaker(platform);
+  if (breaker.state === BREAKER_STATE.OPEN) {
+    return Date.now() - breaker.openedAt >= breaker.cooldown;
+  }
+  return breaker.state === BREAKER_STATE.CLOSED || !breaker.probing;
+}
+
+/**
+ * Ask to call the platform: false while the breaker is open or another call is probing it
+ * @param {string} platform - The platform
+ * @returns {boolean}
+ */
+function breaker_allows(platform) {
+  const breaker = get_breaker(platform);
+  if (breaker.state === BREAKER_STATE.CLOSED) {
+    return true;
+  }
+  if (breaker.state === BREAKER_STATE.OPEN) {
+    if (Date.now() - breaker.openedAt < breaker.cooldown) {
+      return false;
+    }
+    set_state(platform, breaker, BREAKER_STATE.HALF_OPEN, 'probing');
+  }
+  if (breaker.probing) {
+    return false;
+  }
+  breaker.probing = true;
+  return true;
+}
+
+// The platform answered
+function breaker_success(platform) {
+  const breaker = get_breaker(platform);
+  breaker.failures = 0;
+  breaker.probing = false;
+  breaker.cooldown = BREAKER_COOLDOWN;
+  set_state(platform, breaker, BREAKER_STATE.CLOSED, 'platform answered');
+}
+
+// The platform failed (after retries)
+function breaker_failure(platform, error) {
+  const breaker = get_breaker(platform);
+  breaker.failures++;
+  breaker.lastError = error.message;
+
+  if (breaker.state === BREAKER_STATE.HALF_OPEN) {
+    breaker.probing = false;
+    breaker.cooldown = Math.min(breaker.cooldown * 2, MAX_BREAKER_COOLDOWN);
+    breaker.openedAt = Date.now();
+    set_state(platform, breaker, BREAKER_STATE.OPEN, `probe failed, retry in ${breaker.cooldown / 1000}s`);
+  } else if (breaker.state === BREAKER_STATE.CLOSED && breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.openedAt = Date.now();
+    set_state(platform, breaker, BREAKER_STATE.OPEN, `${breaker.failures} consecutive failures, last: ${error.message}`);
+  }
+}
+
+// The call ended without telling whether the platform works (e.g. missing API key)
+function breaker_release(platform) {
+  get_breaker(platform).probing = false;
+}
+
+/**
+ * State of every platform called so far
+ * @returns {object} - platform -> { state, failures, openedAt, retryAt, lastError, updatedAt }
+ */
+function get_breaker_states() {
+  const states = {};
+  for (const [platform, breaker] of breakers) {
+    states[platform] = {
+      state: breaker.state,
+      failures: breaker.failures,
+      openedAt: breaker.openedAt,
+      retryAt: breaker.state === BREAKER_STATE.CLOSED ? null : breaker.openedAt + breaker.cooldown,
+      lastError: breaker.lastError,
+      updatedAt: breaker.updatedAt
+    };
+  }
+  return states;
+}
+
+module.exports = {
+  BREAKER_STATE,
+  breaker_available,
+  breaker_allows,
+  breaker_success,
+  breaker_failure,
+  breaker_release,
+  get_breaker_states
+};
@@ -3,6 +3,13 @@ const path = require('path');
 
 const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
 
+// Blocks a log must be buried under before it is acted on, so a short reorg can't make the node
+// pay for requests that no longer exist
+const CONFIRMATIONS = process.env.EVENT_CONFIRMATIONS !== undefined ? parseInt(process.env.EVENT_CONFIRMATIONS) : 2;
+
+// Watermark blocks whose hash is kept, to find where the chain forked after a reorg
+const REORG_HISTORY = 64;
+
 // JSON.stringify drops Infinity (becomes null), which broke logIndex comparisons on restart.
 const MAX_PROCESSED_LOG_INDEX = Number.MAX_SAFE_INTEGER;
 
@@ -24,10 +31,20 @@ let contract = null;
 let provider = null;
 let watched_contract_address = null;
 let on_event_callback = null;
+let reorg_callback = null;
+let block_listener = null;
+let scan_queue = Promise.resolve();
+let flushing = false;
+let checking_watermark = false;
 
 // Track last processed event to avoid duplicates (block + logIndex uniquely identifies an event)
 let lastProcessedBlock = 0;
 let lastProcessedLogIndex = -1;
+let lastProcessedHash = null;   // hash of lastProcessedBlock, when known
+let recentBlocks = [];          // [{ block, hash }] of recent watermarks, oldest first
+
+// Subscription events waiting for CONFIRMATIONS blocks
+let pendingEvents = [];
 
 // Function to get file path for storing the last processed block
 function get_last_processed_block_file_path(contract_address) {
@@ -46,26 +63,35 @@ function get_last_processed_event(contract_address) {
       const rawLi = 'logIndex' in data ? data.logIndex : -1;
       return {
         block: data.block || 0,
-        logIndex: normalizeStoredLogIndex(rawLi)
+        logIndex: normalizeStoredLogIndex(rawLi),
+        hash: data.blockHash || null,
+        recentBlocks: Array.isArray(data.recentBlocks) ? data.recentBlocks : []
       };
     } catch {
       // Fall back to old format (just block number)
       const block = parseInt(content);
       return {
         block: isNaN(block) ? 0 : block,
-        logIndex: -1  // Unknown, will re-process events from this block
+        logIndex: -1,  // Unknown, will re-process events from this block
+        hash: null,
+        recentBlocks: []
       };
     }
   } catch (err) {
-    return { block: 0, logIndex: -1 };
+    return { block: 0, logIndex: -1, hash: null, recentBlocks: [] };
   }
 }
 
-// Function to write last processed event to file
-function write_last_processed_event(contract_address, block, logIndex) {
+// Function to write last processed event to file, with the hashes of recent watermark blocks
+function write_last_processed_event(contract_address, block, logIndex, hash) {
+  recentBlocks = recentBlocks.filter(entry => entry.block < block);
+  if (hash) {
+    recentBlocks.push({ block, hash });
+    recentBlocks = recentBlocks.slice(-REORG_HISTORY);
+  }
   try {
     const filePath = get_last_processed_block_file_path(contract_address);
-    const data = JSON.stringify({ block, logIndex });
+    const data = JSON.stringify({ block, logIndex, blockHash: hash, recentBlocks });
     fs.writeFileSync(filePath, data);
   } catch (err) {
     console.error('Error writing last processed event to file:', err);
@@ -100,9 +126,13 @@ async function find_contract_deployment_block(contract_address) {
 
 // Retrieve past events from the contract (for catching up on missed events)
 async function get_past_events(contract_instance, contract_address, on_contract_event_callback) {
+  // A reorg may have abandoned the blocks behind the watermark
+  await verify_watermark(contract_address);
+
   // Use the already-initialized lastProcessedBlock (set by initialize_event_handling)
   let start_block = lastProcessedBlock;
-  const last_block = await provider.getBlockNumber();
+  // Only confirmed blocks: newer events arrive through the subscription and wait for confirmations
+  const last_block = await provider.getBlockNumber() - CONFIRMATIONS;
 
   // If we've never processed events before, start from the contract's deployment block
   if (start_block === 0) {
@@ -161,6 +191,7 @@ async function get_past_events(contract_instance, contract_address, on_contract_
             eventName,
             args: event.args,
             blockNumber: event.blockNumber,
+            blockHash: event.blockHash,
             index: idx,
             transactionHash: event.transactionHash
           };
@@ -170,6 +201,7 @@ async function get_past_events(contract_instance, contract_address, on_contract_
           // Track the last processed event
           lastProcessedBlock = event.blockNumber;
           lastProcessedLogIndex = idx;
+          lastProcessedHash = event.blockHash;
         }
       }
 
@@ -186,10 +218,53 @@ async function get_past_events(contract_instance, contract_address, on_contract_
 
   // Only advance tail watermark after a full successful scan; otherwise we would skip logs in failed ranges.
   if (scanCompleted && lastProcessedBlock < last_block) {
+    const block = await provider.getBlock(last_block);
     lastProcessedBlock = last_block;
     lastProcessedLogIndex = MAX_PROCESSED_LOG_INDEX;
+    lastProcessedHash = block ? block.hash : null;
   }
-  write_last_processed_event(contract_address, lastProcessedBlock, lastProcessedLogIndex);
+  write_last_processed_event(contract_address, lastProcessedBlock, lastProcessedLogIndex, lastProcessedHash);
+}
+
+// Move the watermark back to a block still on the chain: the events after it are read again, and
+// the service cancels the requests it scheduled from them (they may no longer exist)
+function rewind(contract_address, block, hash) {
+  console.warn(`Chain reorganisation: rewinding events of ${contract_address.slice(0,10)}... to block ${block}`);
+  lastProcessedBlock = block;
+  lastProcessedLogIndex = MAX_PROCESSED_LOG_INDEX;
+  lastProcessedHash = hash;
+  write_last_processed_event(contract_address, block, MAX_PROCESSED_LOG_INDEX, hash);
+  if (reorg_callback) {
+    reorg_callback(block);
+  }
+}
+
+// Compare the stored watermark hash with the chain; on a mismatch rewind to the newest stored block still on it
+async function verify_watermark(contract_address) {
+  if (!lastProcessedHash) return;
+  const block = await provider.getBlock(lastProcessedBlock);
+  if (block && block.hash === lastProcessedHash) return;
+
+  for (let i = recentBlocks.length - 1; i >= 0; i--) {
+    const entry = recentBlocks[i];
+    if (entry.block >= lastProcessedBlock) continue;
+    const chainBlock = await provider.getBlock(entry.block);
+    if (chainBlock && chainBlock.hash === entry.hash) {
+      rewind(contract_address, entry.block, entry.hash);
+      return;
+    }
+  }
+  // Forked before every block we know: go back past the oldest one
+  const oldest = recentBlocks.length > 0 ? recentBlocks[0].block : lastProcessedBlock;
+  rewind(contract_address, Math.max(oldest - 1, 0), null);
+}
+
+// Scan past events, one scan at a time (startup, gap-fill, after a rewind)
+function scan_events() {
+  scan_queue = scan_queue
+    .then(() => get_past_events(contract, watched_contract_address, on_event_callback))
+    .catch(err => console.error('Error scanning past events:', err));
+  return scan_queue;
 }
 
 // Handle a decoded subscription event
@@ -211,7 +286,77 @@ function handle_subscription_event(decodedEvent, contract_address, on_contract_e
 
   lastProcessedBlock = blockNumber;
   lastProcessedLogIndex = logIndex;
-  write_last_processed_event(contract_address, blockNumber, logIndex);
+  lastProcessedHash = decodedEvent.blockHash;
+  write_last_processed_event(contract_address, blockNumber, logIndex, decodedEvent.blockHash);
+}
+
+// Deliver the subscription events that have enough confirmations and are still in the chain
+async function flush_confirmed_events(contract_address, on_contract_event_callback) {
+  if (flushing || pendingEvents.length === 0) return;
+  flushing = true;
+  try {
+    const head = await provider.getBlockNumber();
+    const hashes = new Map();
+    while (pendingEvents.length > 0 && pendingEvents[0].blockNumber <= head - CONFIRMATIONS) {
+      const event = pendingEvents[0];
+      if (!hashes.has(event.blockNumber)) {
+        const block = await provider.getBlock(event.blockNumber);
+        hashes.set(event.blockNumber, block ? block.hash : null);
+      }
+      pendingEvents.shift();
+      if (hashes.get(event.blockNumber) !== event.blockHash) {
+        // Its block was replaced: the log arrives again if it was included elsewhere
+        console.warn(`Dropping ${event.eventName} event from reorganised block ${event.blockNumber}`);
+        continue;
+      }
+      handle_subscription_event(event, contract_address, on_contract_event_callback);
+    }
+  } catch (err) {
+    console.error('Error delivering confirmed events:', err.message);
+  } finally {
+    flushing = false;
+  }
+}
+
+// Events already in blocks past the confirmed head when the node starts: the subscription only
+// delivers newer ones, so they wait for confirmations with the subscription events
+async function buffer_unconfirmed_events(contract_instance) {
+  if (CONFIRMATIONS === 0) return;
+  const head = await provider.getBlockNumber();
+  const from = Math.max(lastProcessedBlock, head - CONFIRMATIONS + 1);
+  const events = await contract_instance.queryFilter('*', from, head);
+  for (const event of events) {
+    const eventName = event.fragment?.name || event.eventName;
+    if (!eventName) continue;
+    pendingEvents.push({
+      eventName,
+      args: event.args,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      index: eventLogIndex(event),
+      transactionHash: event.transactionHash
+    });
+  }
+  pendingEvents.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+}
+
+// Reorg signal: ethers passes logs that the RPC node reports as removed to "orphan" listeners, never to
+// contract listeners, so every new block checks that the watermark block is still in the chain (events
+// waiting for confirmations are checked by flush_confirmed_events)
+async function check_watermark_block(head) {
+  if (checking_watermark || !lastProcessedHash || head - lastProcessedBlock > REORG_HISTORY) return;
+  checking_watermark = true;
+  try {
+    const block = await provider.getBlock(lastProcessedBlock);
+    if (block && block.hash !== lastProcessedHash) {
+      // The scan rewinds before reading the events again
+      await scan_events();
+    }
+  } catch (err) {
+    console.error('Error checking the watermark block:', err.message);
+  } finally {
+    checking_watermark = false;
+  }
 }
 
 // Subscribe to new events from the contract
@@ -239,12 +384,26 @@ async function subscribe_to_events(contract_instance, contract_address, on_contr
         eventName,
         args: payload.args,
         blockNumber: rawLog.blockNumber,
+        blockHash: rawLog.blockHash,
         index: rawLog.index,
         transactionHash: rawLog.transactionHash
       };
 
-      handle_subscription_event(decodedEvent, contract_address, on_contract_event_callback);
+      if (CONFIRMATIONS === 0) {
+        handle_subscription_event(decodedEvent, contract_address, on_contract_event_callback);
+      } else {
+        pendingEvents.push(decodedEvent);
+        pendingEvents.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+      }
     });
+
+    // Every new block may confirm waiting events, or show that delivered ones were reorganised away
+    block_listener = async (blockNumber) => {
+      if (!is_active) return;
+      await flush_confirmed_events(contract_address, on_contract_event_callback);
+      await check_watermark_block(blockNumber);
+    };
+    await provider.on('block', block_listener);
   } catch (err) {
     console.error('Failed to subscribe to contract events (wildcard):', err.message);
     throw err;
@@ -259,15 +418,15 @@ async function periodic_gap_fill() {
     gap_fill_timer = setTimeout(periodic_gap_fill, 3 * 60 * 1000);
     return;
   }
-  try {
-    await get_past_events(contract, watched_contract_address, on_event_callback);
-  } catch (err) {
-    console.error('Gap-fill error:', err);
-  }
+  await scan_events();
 
   gap_fill_timer = setTimeout(periodic_gap_fill, 3 * 60 * 1000);
 }
 
+/**
+ * Stop delivering events and save the watermark of the last delivered one, so the next run
+ * starts right after it. Unconfirmed events are dropped: the next run reads them again.
+ */
 async function terminate_event_handling() {
   console.log("Terminating event handling...");
   is_active = false;
@@ -278,16 +437,37 @@ async function terminate_event_handling() {
   }
 
   if (contract) {
-    contract.removeAllListeners();
+    await contract.removeAllListeners();
+  }
+  if (block_listener) {
+    await provider.off('block', block_listener);
+    block_listener = null;
+  }
+  pendingEvents = [];
+
+  // A scan in progress stops at its next event
+  await scan_queue;
+  if (watched_contract_address && lastProcessedBlock > 0) {
+    write_last_processed_event(watched_contract_address, lastProcessedBlock, lastProcessedLogIndex, lastProcessedHash);
   }
 }
 
-async function initialize_event_handling(provider_instance, contract_instance, contract_address, on_contract_event_callback) {
+/**
+ * Read past events and subscribe to new ones
+ * @param {object} provider_instance - The ethers provider
+ * @param {object} contract_instance - The ethers contract
+ * @param {string} contract_address - The contract address
+ * @param {function} on_contract_event_callback - Called with each event (and whether it is new) once confirmed
+ * @param {function} [on_reorg_callback] - Called with the block the events were rewound to after a reorg:
+ *                                         events after it are delivered again if they are still in the chain
+ */
+async function initialize_event_handling(provider_instance, contract_instance, contract_address, on_contract_event_callback, on_reorg_callback) {
   // Store references
   provider = provider_instance;
   contract = contract_instance;
   watched_contract_address = contract_address;
   on_event_callback = on_contract_event_callback;
+  reorg_callback = on_reorg_callback || null;
 
   if (typeof on_contract_event_callback !== 'function') {
     throw new Error('on_contract_event_callback must be a function');
@@ -309,11 +489,15 @@ async function initialize_event_handling(provider_instance, contract_instance, c
   const lastEvent = get_last_processed_event(contract_address);
   lastProcessedBlock = lastEvent.block;
   lastProcessedLogIndex = lastEvent.logIndex;
-  console.log(`Initialized contract ${contract_address.slice(0,10)}... from block ${lastProcessedBlock}`);
+  lastProcessedHash = lastEvent.hash;
+  recentBlocks = lastEvent.recentBlocks;
+  console.log(`Initialized contract ${contract_address.slice(0,10)}... from block ${lastProcessedBlock} (${CONFIRMATIONS} confirmations)`);
 
   // Get past events to process any missed events
   await get_past_events(contract_instance, contract_address, on_contract_event_callback);
 
+  await buffer_unconfirmed_events(contract_instance);
+
   // Subscribe to new events
   await subscribe_to_events(contract_instance, contract_address, on_contract_event_callback);
 
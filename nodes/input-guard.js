@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+// Prompt-injection hardening for user-supplied input values
+//
+// Every node must transform inputs the same way, or redundant nodes would send different
+// prompts and never agree. Everything here is deterministic: it only depends on the
+// request id, the prompt config and the input values.
+
+// Tags neutralised in input values unless the prompt config says otherwise
+const DEFAULT_RESERVED_TAGS = ['result'];
+
+// Character classes for per-placeholder limits: each regex matches a disallowed character.
+// (Unassigned code points are not rejected: that would depend on the Unicode version of each node.)
+const CHARSETS = {
+  any: null,
+  printable: /(?![\n\r\t])[\p{Cc}\p{Cf}\p{Co}]/gu,  // no control, format (zero-width, bidi) or private-use characters
+  single_line: /[\p{Cc}\p{Cf}\p{Co}]/gu,              // printable and no line breaks
+  ascii: /[^\x20-\x7e\n\r\t]/g,
+  alnum: /[^\p{L}\p{N} ]/gu,
+  numeric: /[^0-9.+-]/g
+};
+
+const ON_INVALID = ['reject', 'sanitize'];
+
+/**
+ * Validate the "inputs" rules of a prompt config:
+ *   { "user_input": { "max_length": 500, "charset": "printable", "fence": true, "on_invalid": "reject" } }
+ * @param {object} rules - The rules keyed by placeholder path
+ * @returns {object} - The rules
+ */
+function validate_input_rules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('must be an object keyed by placeholder');
+  }
+  for (const [path, rule] of Object.entries(rules)) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`"${path}" must be an object`);
+    }
+    for (const [key, value] of Object.entries(rule)) {
+      const valid = {
+        max_length: () => Number.isInteger(value) && value > 0,
+        charset: () => Object.prototype.hasOwnProperty.call(CHARSETS, value),
+        fence: () => typeof value === 'boolean',
+        on_invalid: () => ON_INVALID.includes(value)
+      }[key];
+      if (!valid) {
+        throw new Error(`"${path}" has unknown setting "${key}"`);
+      }
+      if (!valid()) {
+        throw new Error(`"${path}" has an invalid ${key}`);
+      }
+    }
+  }
+  return rules;
+}
+
+function get_path(values, path) {
+  if (Object.prototype.hasOwnProperty.call(values, path)) return { parent: values, key: path };
+  const parts = path.split('.');
+  let parent = values;
+  for (const part of parts.slice(0, -1)) {
+    if (!parent || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, part)) return null;
+    parent = parent[part];
+  }
+  const key = parts[parts.length - 1];
+  if (!parent || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, key)) return null;
+  return { parent, key };
+}
+
+// Apply a length / charset rule to one value, sanitizing or throwing
+function apply_rule(path, value, rule) {
+  const sanitize = rule.on_invalid === 'sanitize';
+  const isString = typeof value === 'string';
+  let text = isString ? value : JSON.stringify(value);
+
+  const disallowed = rule.charset ? CHARSETS[rule.charset] : null;
+  if (disallowed) {
+    disallowed.lastIndex = 0;
+    if (disallowed.test(text)) {
+      if (!sanitize || !isString) {
+        throw new Error(`input "${path}" contains characters outside the "${rule.charset}" charset`);
+      }
+      text = text.replace(disallowed, '');
+    }
+  }
+
+  // Length in code points, so surrogate pairs are never split
+  const chars = Array.from(text);
+  if (rule.max_length && chars.length > rule.max_length) {
+    if (!sanitize || !isString) {
+      throw new Error(`input "${path}" is longer than ${rule.max_length} characters`);
+    }
+    text = chars.slice(0, rule.max_length).join('');
+  }
+
+  return isString ? text : value;
+}
+
+// Escape reserved tags (e.g. "<result>", "</ result >") so they can't be mistaken for the model's own
+function neutralise_tags(text, reservedTags) {
+  if (reservedTags.length === 0) return text;
+  const names = reservedTags.join('|');
+  const pattern = new RegExp(`<\\s*/?\\s*(?:${names})\\b[^>]*>`, 'gi');
+  return text.replace(pattern, tag => tag.replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+}
+
+function neutralise_value(value, reservedTags) {
+  if (typeof value === 'string') {
+    return neutralise_tags(value, reservedTags);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => neutralise_value(item, reservedTags));
+  }
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+      out[key] = neutralise_value(item, reservedTags);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Apply the per-placeholder rules and neutralise reserved tags in resolved input values
+ * @param {object} values - The resolved input values
+ * @param {object} guard - The `inputGuard` of the prompt config
+ * @returns {object} - The transformed values (throws when a rule rejects a value)
+ */
+function guard_inputs(values, guard) {
+  const out = JSON.parse(JSON.stringify(values));
+
+  for (const [path, rule] of Object.entries(guard.rules)) {
+    const target = get_path(out, path);
+    if (!target || target.parent[target.key] === null || target.parent[target.key] === undefined) continue;
+    target.parent[target.key] = apply_rule(path, target.parent[target.key], rule);
+  }
+
+  return neutralise_value(out, guard.reservedTags);
+}
+
+/**
+ * Wrap an inserted value in delimiters unique to the request and the value.
+ * Deriving the marker from the value itself means an input can never contain its own end marker.
+ * @param {string} request_id - The request id
+ * @param {string} path - The placeholder path
+ * @param {string} text - The rendered value
+ * @returns {string} - The fenced value
+ */
+function fence_value(request_id, path, text) {
+  const id = crypto.createHash('sha256')
+    .update(`${request_id}\n${path}\n${text}`)
+    .digest('hex')
+    .slice(0, 16);
+  return `<<INPUT ${id}>>\n${text}\n<<END INPUT ${id}>>`;
+}
+
+/**
+ * Template transform that fences values according to the config
+ * @param {string} request_id - The request id
+ * @param {object} guard - The `inputGuard` of the prompt config
+ * @returns {function|undefined} - (path, text) => text, or undefined when nothing is fenced
+ */
+function fence_transform(request_id, guard) {
+  const fenced = (path) => {
+    const rule = guard.rules[path];
+    return rule && typeof rule.fence === 'boolean' ? rule.fence : guard.fence;
+  };
+  if (!guard.fence && !Object.values(guard.rules).some(rule => rule.fence)) {
+    return undefined;
+  }
+  return (path, text) => fenced(path) ? fence_value(request_id, path, text) : text;
+}
+
+module.exports = {
+  DEFAULT_RESERVED_TAGS,
+  validate_input_rules,
+  guard_inputs,
+  fence_value,
+  fence_transform
+};
@@ -0,0 +1,145 @@
+const path = require('path');
+const { read_json, write_json_atomic } = require('./json-file.js');
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+
+// Finished jobs are kept on disk for a while so operators can inspect them, then pruned
+const FINISHED_JOB_RETENTION = 24 * 60 * 60 * 1000;
+
+// Lifecycle of a request handled by this node
+const JOB_STATE = {
+  SCHEDULED: 'scheduled',       // waiting for its round-robin turn (dueAt)
+  FETCHING: 'fetching',         // reading request info, config and inputs
+  CALLING_LLM: 'calling_llm',   // waiting on the LLM provider
+  SUBMITTING: 'submitting',     // sendResult transaction sent or about to be sent
+  CONFIRMED: 'confirmed',       // our result is on-chain
+  FAILED: 'failed',             // gave up with an error
+  SKIPPED: 'skipped'            // nothing to do (already processed, not found, ...)
+};
+
+const FINISHED_STATES = [JOB_STATE.CONFIRMED, JOB_STATE.FAILED, JOB_STATE.SKIPPED];
+
+let jobs_file_path = null;
+let jobs = {};
+
+// Function to get file path for storing the job queue
+function get_jobs_file_path(contract_address) {
+  return path.join(CONFIG_PATH, contract_address.toLowerCase() + '.jobs.json');
+}
+
+// Function to read the job queue from file
+function read_jobs() {
+  return read_json(jobs_file_path, 'job queue file');
+}
+
+// Function to write the job queue to file
+function write_jobs() {
+  write_json_atomic(jobs_file_path, jobs, 'job queue file');
+}
+
+function is_finished(job) {
+  return FINISHED_STATES.includes(job.state);
+}
+
+// Drop finished jobs older than the retention window
+function prune_jobs() {
+  const now = Date.now();
+  for (const [id, job] of Object.entries(jobs)) {
+    if (is_finished(job) && now - job.updatedAt > FINISHED_JOB_RETENTION) {
+      delete jobs[id];
+    }
+  }
+}
+
+function initialize_job_queue(contract_address) {
+  jobs_file_path = get_jobs_file_path(contract_address);
+  jobs = read_jobs();
+  prune_jobs();
+  write_jobs();
+
+  const unfinished = get_unfinished_jobs().length;
+  console.log(`Job queue loaded: ${Object.keys(jobs).length} jobs, ${unfinished} unfinished`);
+}
+
+function get_job(request_id) {
+  return jobs[String(request_id)] || null;
+}
+
+/**
+ * Add a job for a request, unless one already exists
+ * @param {bigint|string} request_id - The request id
+ * @param {number} redundancy - Redundancy requested by the caller
+ * @param {number} due_at - Timestamp (ms) at which this node should start processing
+ * @param {number} [block_number] - Block of the request's NewRequest event
+ * @returns {{job: object, created: boolean}}
+ */
+function add_job(request_id, redundancy, due_at, block_number) {
+  const id = String(request_id);
+  if (jobs[id]) {
+    return { job: jobs[id], created: false };
+  }
+
+  const now = Date.now();
+  jobs[id] = {
+    requestId: id,
+    redundancy: Number(redundancy),
+    state: JOB_STATE.SCHEDULED,
+    dueAt: due_at,
+    blockNumber: block_number,
+    createdAt: now,
+    updatedAt: now,
+    attempts: 0
+  };
+  write_jobs();
+  return { job: jobs[id], created: true };
+}
+
+/**
+ * Update fields of an existing job and persist the queue
+ * @param {bigint|string} request_id - The request id
+ * @param {object} fields - Fields to merge into the job (usually at least `state`)
+ * @returns {object|null} The updated job
+ */
+function update_job(request_id, fields) {
+  const job = jobs[String(request_id)];
+  if (!job) return null;
+
+  Object.assign(job, fields, { updatedAt: Date.now() });
+  if (fields.state && fields.state !== JOB_STATE.SCHEDULED) {
+    console.log(`Job ${job.requestId} -> ${job.state}${fields.reason ? ` (${fields.reason})` : ''}`);
+  }
+  write_jobs();
+  return job;
+}
+
+/**
+ * Drop a job that hasn't started yet (its request was removed by a chain reorganisation);
+ * the request is scheduled again if its event shows up in the new chain
+ * @param {bigint|string} request_id - The request id
+ * @param {string} reason - Why, for the log
+ * @returns {boolean} Whether the job was dropped
+ */
+function cancel_job(request_id, reason) {
+  const job = jobs[String(request_id)];
+  if (!job || job.state !== JOB_STATE.SCHEDULED) return false;
+
+  delete jobs[String(request_id)];
+  console.log(`Job ${job.requestId} cancelled (${reason})`);
+  write_jobs();
+  return true;
+}
+
+function get_unfinished_jobs() {
+  return Object.values(jobs).filter(job => !is_finished(job));
+}
+
+module.exports = {
+  JOB_STATE,
+  initialize_job_queue,
+  add_job,
+  update_job,
+  cancel_job,
+  get_job,
+  get_unfinished_jobs,
+  is_finished
+};
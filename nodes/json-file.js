@@ -0,0 +1,42 @@
+const fs = require('fs');
+
+// JSON files holding the node's state (jobs, pending transactions, monitored requests, provider health)
+
+/**
+ * Read a JSON object from a file
+ * @param {string} file - The file path
+ * @param {string} label - What the file holds, for the error log
+ * @returns {object} - The object, or an empty object when the file is missing or unreadable
+ */
+function read_json(file, label) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return (data && typeof data === 'object') ? data : {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Error reading ${label}:`, err.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Write a value to a JSON file (write + rename so a crash never leaves a partial file)
+ * @param {string} file - The file path
+ * @param {*} data - The value to write
+ * @param {string} label - What the file holds, for the error log
+ */
+function write_json_atomic(file, data, label) {
+  try {
+    const tmpPath = file + '.tmp';
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, file);
+  } catch (err) {
+    console.error(`Error writing ${label}:`, err.message);
+  }
+}
+
+module.exports = {
+  read_json,
+  write_json_atomic
+};
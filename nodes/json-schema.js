@@ -0,0 +1,246 @@
+// Minimal JSON Schema support for result validation
+//
+// Prompt configs can require the result to match a schema. Only the keywords below are
+// supported; a schema using anything else is rejected when the config is parsed, so every
+// node validates results the same way.
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+// Keywords whose value is a count; the other numeric keywords take any number
+const COUNT_KEYWORDS = ['minProperties', 'maxProperties', 'minItems', 'maxItems', 'minLength', 'maxLength'];
+
+// Keywords that carry no constraint
+const ANNOTATIONS = ['$schema', '$id', 'title', 'description', 'examples', 'default'];
+
+const KEYWORDS = [
+  'type', 'enum', 'const',
+  'properties', 'required', 'additionalProperties', 'minProperties', 'maxProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'anyOf', 'oneOf', 'allOf', 'not'
+];
+
+function is_plain_object(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function is_count(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Check that a schema only uses supported keywords with well-formed values
+ * @param {object} schema - The schema
+ * @param {string} [at] - Location of the schema, for error messages
+ */
+function check_schema(schema, at = '$') {
+  if (typeof schema === 'boolean') return;
+  if (!is_plain_object(schema)) {
+    throw new Error(`${at} must be an object`);
+  }
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (ANNOTATIONS.includes(key)) continue;
+    if (!KEYWORDS.includes(key)) {
+      throw new Error(`${at} uses unsupported keyword "${key}"`);
+    }
+    const valid = {
+      type: () => (Array.isArray(value) ? value : [value]).every(t => TYPES.includes(t)),
+      enum: () => Array.isArray(value) && value.length > 0,
+      const: () => true,
+      properties: () => is_plain_object(value),
+      required: () => Array.isArray(value) && value.every(name => typeof name === 'string'),
+      additionalProperties: () => typeof value === 'boolean' || is_plain_object(value),
+      items: () => typeof value === 'boolean' || is_plain_object(value),
+      uniqueItems: () => typeof value === 'boolean',
+      pattern: () => {
+        try {
+          new RegExp(value, 'u');
+          return typeof value === 'string';
+        } catch {
+          return false;
+        }
+      },
+      multipleOf: () => typeof value === 'number' && value > 0,
+      anyOf: () => Array.isArray(value) && value.length > 0,
+      oneOf: () => Array.isArray(value) && value.length > 0,
+      allOf: () => Array.isArray(value) && value.length > 0,
+      not: () => typeof value === 'boolean' || is_plain_object(value)
+    }[key] || (COUNT_KEYWORDS.includes(key) ? () => is_count(value) : () => typeof value === 'number');
+    if (!valid()) {
+      throw new Error(`${at} has an invalid ${key}`);
+    }
+  }
+
+  for (const [name, sub] of Object.entries(schema.properties || {})) {
+    check_schema(sub, `${at}.properties.${name}`);
+  }
+  if (is_plain_object(schema.additionalProperties)) check_schema(schema.additionalProperties, `${at}.additionalProperties`);
+  if (is_plain_object(schema.items)) check_schema(schema.items, `${at}.items`);
+  if (is_plain_object(schema.not)) check_schema(schema.not, `${at}.not`);
+  for (const key of ['anyOf', 'oneOf', 'allOf']) {
+    (schema[key] || []).forEach((sub, i) => check_schema(sub, `${at}.${key}[${i}]`));
+  }
+}
+
+// Decimal multiples (0.3 of 0.1) don't divide exactly in binary floating point
+function is_multiple(value, divisor) {
+  const quotient = value / divisor;
+  return Math.abs(quotient - Math.round(quotient)) <= 1e-9 * Math.max(1, Math.abs(quotient));
+}
+
+function type_of(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matches_type(value, type) {
+  const actual = type_of(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Structural equality of JSON values (key order doesn't matter)
+function json_equal(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => json_equal(item, b[i]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && json_equal(a[key], b[key]));
+}
+
+function validate(value, schema, at, errors) {
+  if (schema === true) return;
+  if (schema === false) {
+    errors.push(`${at} is not allowed`);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matches_type(value, type))) {
+      errors.push(`${at} must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => json_equal(option, value))) {
+    errors.push(`${at} must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ('const' in schema && !json_equal(schema.const, value)) {
+    errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = Array.from(value).length;
+    if (schema.minLength !== undefined && length < schema.minLength) errors.push(`${at} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at} must match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at} must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${at} must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && !is_multiple(value, schema.multipleOf)) errors.push(`${at} must be a multiple of ${schema.multipleOf}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => json_equal(other, item)) !== i)) {
+      errors.push(`${at} must not contain duplicates`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => validate(item, schema.items, `${at}[${i}]`, errors));
+    }
+  }
+
+  if (is_plain_object(value)) {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) errors.push(`${at} must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) errors.push(`${at} must have at most ${schema.maxProperties} properties`);
+    for (const name of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) errors.push(`${at}.${name} is required`);
+    }
+    const properties = schema.properties || {};
+    for (const key of keys) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validate(value[key], properties[key], `${at}.${key}`, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push(`${at}.${key} is not allowed`);
+        } else {
+          validate(value[key], schema.additionalProperties, `${at}.${key}`, errors);
+        }
+      }
+    }
+  }
+
+  const passes = (sub) => {
+    const subErrors = [];
+    validate(value, sub, at, subErrors);
+    return subErrors.length === 0;
+  };
+  if (schema.allOf) schema.allOf.forEach(sub => validate(value, sub, at, errors));
+  if (schema.anyOf && !schema.anyOf.some(passes)) errors.push(`${at} must match one of the anyOf schemas`);
+  if (schema.oneOf && schema.oneOf.filter(passes).length !== 1) errors.push(`${at} must match exactly one of the oneOf schemas`);
+  if (schema.not !== undefined && passes(schema.not)) errors.push(`${at} must not match the "not" schema`);
+}
+
+/**
+ * Validate a JSON value against a schema
+ * @param {*} value - The parsed JSON value
+ * @param {object} schema - The schema (checked with check_schema)
+ * @returns {Array<string>} - The validation errors, empty when the value is valid
+ */
+function validate_json(value, schema) {
+  const errors = [];
+  validate(value, schema, '$', errors);
+  return errors;
+}
+
+/**
+ * Convert a schema to the OpenAPI subset Gemini accepts as `responseSchema`.
+ * Constraints Gemini doesn't support are dropped; results are validated by the node anyway.
+ * @param {object} schema - The schema
+ * @returns {object} - The Gemini schema
+ */
+function to_gemini_schema(schema) {
+  if (!is_plain_object(schema)) return undefined;
+  const out = {};
+
+  let types = schema.type === undefined ? [] : (Array.isArray(schema.type) ? schema.type : [schema.type]);
+  if (types.includes('null')) {
+    out.nullable = true;
+    types = types.filter(type => type !== 'null');
+  }
+  if (types.length === 1) out.type = types[0].toUpperCase();
+
+  if (schema.description) out.description = schema.description;
+  if (schema.enum) out.enum = schema.enum.map(String);
+  if ('const' in schema) out.enum = [String(schema.const)];
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([name, sub]) => [name, to_gemini_schema(sub) || {}]));
+  }
+  if (schema.required) out.required = schema.required;
+  if (is_plain_object(schema.items)) out.items = to_gemini_schema(schema.items);
+  for (const key of ['minItems', 'maxItems', 'minimum', 'maximum']) {
+    if (schema[key] !== undefined) out[key] = schema[key];
+  }
+  if (schema.anyOf) out.anyOf = schema.anyOf.map(to_gemini_schema).filter(Boolean);
+
+  return out;
+}
+
+module.exports = {
+  check_schema,
+  validate_json,
+  to_gemini_schema
+};
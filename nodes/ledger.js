@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Usage and cost ledger
+//
+// One JSON line per event in <contract>.ledger.jsonl (in CONFIG_PATH), never rewritten:
+//   { type: 'llm', requestId, time, platform, model, calls, inputTokens, outputTokens, costUsd }
+//   { type: 'gas', requestId, time, txHash, status, gasUsed, gasPrice, costWei }
+//   { type: 'payment', requestId, time, priceCents, token, tokenAmount }
+// Big integers (wei, token units) are stored as strings.
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+
+// Provider prices in USD per million tokens (see load_prices)
+const PRICES_FILE = process.env.LLM_PRICES_FILE || path.join(CONFIG_PATH, 'prices.json');
+
+let ledger_file_path = null;
+let prices = null;
+
+function get_ledger_file_path(contract_address) {
+  return path.join(CONFIG_PATH, contract_address.toLowerCase() + '.ledger.jsonl');
+}
+
+function initialize_ledger(contract_address) {
+  ledger_file_path = get_ledger_file_path(contract_address);
+}
+
+/**
+ * Load the price table:
+ *
+ *   {
+ *     "openai/gpt-4o": { "input": 2.5, "output": 10 },
+ *     "anthropic": { "input": 3, "output": 15 }
+ *   }
+ *
+ * Keys are "platform/model" or a platform (its models without an entry), prices in USD per million tokens.
+ * @param {string} [file] - Path of the price table
+ */
+function load_prices(file = PRICES_FILE) {
+  prices = {};
+  try {
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [key, entry] of Object.entries(table)) {
+      if (typeof entry.input !== 'number' || typeof entry.output !== 'number') {
+        throw new Error(`"${key}" needs numeric input and output prices`);
+      }
+      prices[key.toLowerCase()] = entry;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read price table ${file}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Estimated provider cost of a call
+ * @returns {number|null} - USD, or null when the model has no price
+ */
+function estimate_cost(platform, model, inputTokens, outputTokens) {
+  if (!prices) load_prices();
+  const price = prices[`${platform}/${model}`.toLowerCase()] || prices[String(platform).toLowerCase()];
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+function append(entry) {
+  if (!ledger_file_path) return;
+  try {
+    fs.appendFileSync(ledger_file_path, JSON.stringify({ ...entry, time: Date.now() }) + '\n');
+  } catch (err) {
+    console.error('Error writing ledger:', err.message);
+  }
+}
+
+/**
+ * Record the LLM usage of a request (all calls, including re-prompts and continuations)
+ * @param {number|string} request_id - The request id
+ * @param {object} usage - platform, model, calls, inputTokens, outputTokens
+ */
+function record_llm_usage(request_id, { platform, model, calls, inputTokens, outputTokens }) {
+  const costUsd = estimate_cost(platform, model, inputTokens, outputTokens);
+  append({ type: 'llm', requestId: String(request_id), platform, model, calls, inputTokens, outputTokens, costUsd });
+}
+
+/**
+ * Record the gas spent on a sendResult transaction
+ * @param {number|string} request_id - The request id
+ * @param {object} receipt - The ethers transaction receipt
+ */
+function record_gas(request_id, receipt) {
+  append({
+    type: 'gas',
+    requestId: String(request_id),
+    txHash: receipt.hash,
+    status: receipt.status,
+    gasUsed: receipt.gasUsed.toString(),
+    gasPrice: receipt.gasPrice.toString(),
+    costWei: (receipt.gasUsed * receipt.gasPrice).toString()
+  });
+}
+
+/**
+ * Record what the contract charges for one submission (one redundancy unit)
+ * @param {number|string} request_id - The request id
+ * @param {object} payment - priceCents, token, tokenAmount (bigint or null)
+ */
+function record_payment(request_id, { priceCents, token, tokenAmount }) {
+  append({
+    type: 'payment',
+    requestId: String(request_id),
+    priceCents: priceCents === null ? null : Number(priceCents),
+    token: token || null,
+    tokenAmount: tokenAmount === null || tokenAmount === undefined ? null : tokenAmount.toString()
+  });
+}
+
+function read_ledger(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+function empty_summary() {
+  return { requests: new Set(), calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpriced: 0, gasWei: 0n, priceCents: 0, tokenAmount: 0n };
+}
+
+/**
+ * Summarize the ledger of a contract per UTC day and per model
+ * @param {string} contract_address - The contract address
+ * @returns {{days: object, models: object, total: object}} - Summaries keyed by day ("2025-01-31") and "platform/model"
+ */
+function summarize_ledger(contract_address) {
+  const entries = read_ledger(get_ledger_file_path(contract_address));
+
+  // Gas and payments are attributed to the model of their request
+  const modelOf = {};
+  for (const entry of entries) {
+    if (entry.type === 'llm') modelOf[entry.requestId] = `${entry.platform}/${entry.model}`;
+  }
+
+  const days = {};
+  const models = {};
+  const total = empty_summary();
+  for (const entry of entries) {
+    const day = new Date(entry.time).toISOString().slice(0, 10);
+    const model = modelOf[entry.requestId] || 'unknown';
+    for (const summary of [days[day] ||= empty_summary(), models[model] ||= empty_summary(), total]) {
+      summary.requests.add(entry.requestId);
+      if (entry.type === 'llm') {
+        summary.calls += entry.calls;
+        summary.inputTokens += entry.inputTokens;
+        summary.outputTokens += entry.outputTokens;
+        if (entry.costUsd === null) summary.unpriced++;
+        else summary.costUsd += entry.costUsd;
+      } else if (entry.type === 'gas') {
+        summary.gasWei += BigInt(entry.costWei);
+      } else if (entry.type === 'payment') {
+        summary.priceCents += entry.priceCents || 0;
+        if (entry.tokenAmount !== null) summary.tokenAmount += BigInt(entry.tokenAmount);
+      }
+    }
+  }
+
+  return { days, models, total };
+}
+
+function format_summary(name, summary) {
+  return [
+    name.padEnd(40),
+    String(summary.requests.size).padStart(8),
+    String(summary.inputTokens).padStart(12),
+    String(summary.outputTokens).padStart(12),
+    ('$' + summary.costUsd.toFixed(4) + (summary.unpriced ? '*' : '')).padStart(12),
+    ('$' + (summary.priceCents / 100).toFixed(2)).padStart(10),
+    ethers.formatEther(summary.gasWei).padStart(16)
+  ].join(' ');
+}
+
+/**
+ * Print the daily and per-model reports of a contract's ledger
+ * @param {string} contract_address - The contract address
+ */
+function print_ledger_report(contract_address) {
+  const { days, models, total } = summarize_ledger(contract_address);
+  const header = [
+    ''.padEnd(40), 'requests'.padStart(8), 'input tok'.padStart(12), 'output tok'.padStart(12),
+    'LLM cost'.padStart(12), 'earned'.padStart(10), 'gas (native)'.padStart(16)
+  ].join(' ');
+
+  console.log('Per day (UTC)');
+  console.log(header);
+  for (const day of Object.keys(days).sort()) console.log(format_summary(day, days[day]));
+  console.log('');
+  console.log('Per model');
+  console.log(header);
+  for (const model of Object.keys(models).sort()) console.log(format_summary(model, models[model]));
+  console.log('');
+  console.log(format_summary('Total', total));
+  if (total.tokenAmount > 0n) {
+    console.log(`Token payment owed (PAYMENT_TOKEN smallest units): ${total.tokenAmount}`);
+  }
+  if (total.unpriced > 0) {
+    console.log(`* ${total.unpriced} LLM usage entries have no price in ${PRICES_FILE}`);
+  }
+}
+
+module.exports = {
+  initialize_ledger,
+  record_llm_usage,
+  record_gas,
+  record_payment,
+  estimate_cost,
+  summarize_ledger,
+  print_ledger_report
+};
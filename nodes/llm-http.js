@@ -0,0 +1,139 @@
+const axios = require('axios');
+
+// Per-attempt timeout for LLM provider calls (override per platform with <PLATFORM>_TIMEOUT_MS)
+const DEFAULT_TIMEOUT = 120000;
+const PROVIDER_TIMEOUTS = {
+  openai: 180000,     // reasoning models can think for minutes
+  anthropic: 180000,
+  deepseek: 180000,
+  groq: 60000,        // fast inference, a slow answer means something is wrong
+  ollama: 300000,     // self-hosted hardware may be much slower than cloud APIs
+  llamacpp: 300000,
+  vllm: 300000,
+  tgi: 300000
+};
+
+// Retry policy
+const MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS) || 4;
+const BASE_BACKOFF = 1000;
+const MAX_BACKOFF = 30000;
+
+// 529 is Anthropic's "overloaded"
+const RETRYABLE_STATUS = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'ERR_CANCELED', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function get_timeout(platform) {
+  const envName = platform.toUpperCase().replace(/[^A-Z0-9]/g, '_') + '_TIMEOUT_MS';
+  const fromEnv = parseInt(process.env[envName]);
+  if (fromEnv > 0) return fromEnv;
+  return PROVIDER_TIMEOUTS[platform] || DEFAULT_TIMEOUT;
+}
+
+// Errors worth another attempt: rate limits, server errors and network failures.
+// Client errors (bad request, auth, unknown model) would fail the same way again.
+function is_retryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUS.includes(error.response.status);
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Parse Retry-After (seconds or HTTP date) or retry-after-ms into milliseconds
+function get_retry_after(error) {
+  const headers = error.response?.headers;
+  if (!headers) return null;
+
+  const ms = parseFloat(headers['retry-after-ms']);
+  if (ms >= 0) return Math.ceil(ms);
+
+  const value = headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (seconds >= 0) return Math.ceil(seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+// Exponential backoff with equal jitter: half of the window is fixed, half is random
+function backoff_delay(attempt) {
+  const window = Math.min(MAX_BACKOFF, BASE_BACKOFF * 2 ** (attempt - 1));
+  return Math.round(window / 2 + Math.random() * window / 2);
+}
+
+function describe_error(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error.code ? `${error.code} (${error.message})` : error.message;
+}
+
+/**
+ * POST to an LLM provider with timeouts and retries
+ * @param {string} platform - The platform name, used for timeouts and logging
+ * @param {string} url - The endpoint URL
+ * @param {object} body - The JSON request body
+ * @param {object} config - Extra axios config (headers, ...)
+ * @param {object} [context] - Request context: `requestId` for logging, `deadline` (ms timestamp) after which no retry is started
+ * @returns {Promise<object>} - The axios response
+ */
+async function post_with_retry(platform, url, body, config, context = {}) {
+  const label = context.requestId !== undefined
+    ? `[${platform} request ${context.requestId}]`
+    : `[${platform}]`;
+
+  // The deadline only decides whether a retry is started: every attempt gets the platform's full timeout
+  for (let attempt = 1; ; attempt++) {
+    const timeout = get_timeout(platform);
+
+    console.log(`${label} attempt ${attempt}/${MAX_ATTEMPTS} (timeout ${timeout}ms)`);
+    const started = Date.now();
+
+    try {
+      // The signal also covers a socket that keeps trickling bytes past the timeout
+      const response = await axios.post(url, body, {
+        ...config,
+        timeout,
+        signal: AbortSignal.timeout(timeout)
+      });
+      console.log(`${label} attempt ${attempt} succeeded in ${Date.now() - started}ms`);
+      return response;
+    } catch (error) {
+      const reason = describe_error(error);
+
+      if (!is_retryable(error) || attempt >= MAX_ATTEMPTS) {
+        console.error(`${label} attempt ${attempt} failed: ${reason}, giving up`);
+        throw error;
+      }
+
+      let delay = backoff_delay(attempt);
+      const retryAfter = get_retry_after(error);
+      if (retryAfter !== null) {
+        delay = Math.max(delay, retryAfter);
+      }
+
+      if (context.deadline && Date.now() + delay >= context.deadline) {
+        console.error(`${label} attempt ${attempt} failed: ${reason}, retry in ${delay}ms would pass the deadline, giving up`);
+        throw error;
+      }
+
+      console.warn(`${label} attempt ${attempt} failed: ${reason}, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  post_with_retry,
+  is_retryable
+};
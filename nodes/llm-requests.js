@@ -1,52 +1,68 @@
-const axios = require('axios');
 require('dotenv').config();
-
-// API keys from environment variables
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GROK_API_KEY = process.env.GROK_API_KEY;
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY;
-const QWEN_API_KEY = process.env.QWEN_API_KEY;
-const MOONSHOT_API_KEY = process.env.MOONSHOT_API_KEY;
-const ZAI_API_KEY = process.env.ZAI_API_KEY;
-const PERPLEXITY_API_KEY = process.env.PERPLEXITY_API_KEY;
+const {
+  register_provider,
+  get_provider,
+  openai_compatible,
+  ollama_native,
+  llamacpp_server,
+  self_hosted_openai,
+  models_from_env,
+  compact,
+  split_system,
+  map_stop_reason,
+  load_providers_config,
+  max_output_tokens,
+  call_provider
+} = require('./provider-registry.js');
+const { acquire_slot, estimate_tokens } = require('./rate-limiter.js');
+const { is_retryable } = require('./llm-http.js');
+const {
+  breaker_available,
+  breaker_allows,
+  breaker_success,
+  breaker_failure,
+  breaker_release,
+  get_breaker_states
+} = require('./circuit-breaker.js');
+const { to_gemini_schema } = require('./json-schema.js');
 
 /**
  * Process an LLM request based on the specified platform and model
- * @param {string} platform - The LLM platform (openai or anthropic)
+ * @param {string} platform - The LLM platform (any registered provider, e.g. "openai" or "anthropic")
  * @param {string} model - The model name to use
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The LLM response
+ * @param {string|Array<object>} messages - The chat messages ({ role, content }), or a single user prompt
+ * @param {object} [params] - Generation settings from the prompt config (temperature, top_p, max_tokens, stop, seed, response_format,
+ *                            response_schema, response_enum)
+ * @param {object} [context] - Request context: `requestId` for logging, `deadline` (ms timestamp) for retries,
+ *                             `maxContinuations` for answers cut off by the token limit,
+ *                             `priority` (ms timestamp, soonest first) when waiting for a slot under the platform's limits
+ * @returns {Promise<{text: string, stopReason: string|null, usage: object}>} - The LLM response, why generation stopped
+ *          and the tokens used ({ calls, inputTokens, outputTokens })
  */
-async function process_llm_request(platform, model, prompt) {
+async function process_llm_request(platform, model, messages, params = {}, context = {}) {
   console.log(`Processing ${platform} request with model ${model}`);
 
   try {
-    switch (platform.toLowerCase()) {
-      case 'openai':
-        return await process_openai_request(model, prompt);
-      case 'anthropic':
-        return await process_anthropic_request(model, prompt);
-      case 'google':
-        return await process_google_request(model, prompt);
-      case 'xai':
-        return await process_xai_request(model, prompt);
-      case 'groq':
-        return await process_groq_request(model, prompt);
-      case 'deepseek':
-        return await process_deepseek_request(model, prompt);
-      case 'alibaba':
-        return await process_alibaba_request(model, prompt);
-      case 'moonshot':
-        return await process_moonshot_request(model, prompt);
-      case 'zai':
-        return await process_zai_request(model, prompt);
-      case 'perplexity':
-        return await process_perplexity_request(model, prompt);
-      default:
-        throw new Error(`Unsupported platform: ${platform}`);
+    const adapter = get_provider(platform);
+    if (!adapter) {
+      throw new Error(`Unsupported platform: ${platform}`);
+    }
+    const prompt = typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages;
+    const release = await acquire_slot(adapter.name, model, {
+      priority: context.priority,
+      tokens: estimate_tokens(prompt, max_output_tokens(adapter.name, params)),
+      label: context.requestId !== undefined ? `Request ${context.requestId}` : undefined
+    });
+    try {
+      // Checked once the slot is ours, so queued calls don't all become probes
+      if (!breaker_allows(adapter.name)) {
+        const error = new Error(`Circuit breaker for ${adapter.name} is open`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+      return await call_with_breaker(adapter, model, messages, params, context);
+    } finally {
+      release();
     }
   } catch (error) {
     console.error(`Error in process_llm_request: ${error.message}`);
@@ -57,339 +73,359 @@ async function process_llm_request(platform, model, prompt) {
   }
 }
 
-/**
- * Process a request using OpenAI's API
- * @param {string} model - The OpenAI model to use (e.g., "gpt-4", "gpt-3.5-turbo")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
- */
-async function process_openai_request(model, prompt) {
-  if (!OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY environment variable is not set');
-  }
-
-  const headers = {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${OPENAI_API_KEY}`
-  };
-
-  const makeRequest = async (includeTemperature) => {
-    const requestBody = {
-      model: model,
-      messages: [{ role: 'user', content: prompt }],
-    };
-    if (includeTemperature) {
-      requestBody.temperature = 0.0;
-    }
-    return axios.post('https://api.openai.com/v1/chat/completions', requestBody, { headers });
-  };
-
+// Call the provider, recording in its circuit breaker whether it works
+async function call_with_breaker(adapter, model, messages, params, context) {
   try {
-    // Try with temperature first
-    const response = await makeRequest(true);
-    return response.data.choices[0].message.content.trim();
+    const response = await call_provider(adapter, model, messages, params, context);
+    breaker_success(adapter.name);
+    return response;
   } catch (error) {
-    // If temperature is unsupported, retry without it
-    if (error.response?.data?.error?.code === 'unsupported_value' &&
-        error.response?.data?.error?.param === 'temperature') {
-      console.log(`Model ${model} does not support temperature parameter, retrying without it`);
-      const response = await makeRequest(false);
-      return response.data.choices[0].message.content.trim();
+    if (is_retryable(error)) {
+      breaker_failure(adapter.name, error);
+    } else if (error.response) {
+      // The platform is up, it rejected this request
+      breaker_success(adapter.name);
+    } else {
+      breaker_release(adapter.name);
     }
     throw error;
   }
 }
 
 /**
- * Process a request using Anthropic's API
- * @param {string} model - The Anthropic model to use (e.g., "claude-3-opus", "claude-3-sonnet")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
+ * Whether calls to a platform are currently allowed by its circuit breaker
+ * @param {string} platform - The platform
+ * @returns {boolean}
  */
-async function process_anthropic_request(model, prompt) {
-  if (!ANTHROPIC_API_KEY) {
-    throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-  }
-
-  const response = await axios.post(
-    'https://api.anthropic.com/v1/messages',
-    {
-      model: model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.0,
-      max_tokens: 4096,
-    },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      }
-    }
-  );
-
-  return response.data.content[0].text;
+function is_platform_available(platform) {
+  const adapter = get_provider(platform);
+  return !adapter || breaker_available(adapter.name);
 }
 
 /**
- * Process a request using Google Gemini API
- * @param {string} model - The Gemini model id (e.g., "gemini-pro", "gemini-3-pro-preview")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
+ * OpenAI (e.g., "gpt-4", "gpt-3.5-turbo")
+ * Some models reject the temperature parameter, so retry without it when told so
  */
-async function process_google_request(model, prompt) {
-  if (!GEMINI_API_KEY) {
-    throw new Error('GEMINI_API_KEY environment variable is not set');
-  }
-
-  const apiKey = GEMINI_API_KEY;
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-  const response = await axios.post(
-    url,
-    {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.0,
-        maxOutputTokens: 4096
-      }
-    },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-      }
+register_provider(openai_compatible({
+  name: 'openai',
+  baseUrl: 'https://api.openai.com/v1',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  defaultParams: { temperature: 0.0 },
+  maxTokensParam: 'max_completion_tokens',
+  supportsJsonSchema: true,
+  fallback: (error, body, model) => {
+    if (error.response?.data?.error?.code === 'unsupported_value' &&
+        error.response?.data?.error?.param === 'temperature') {
+      console.log(`Model ${model} does not support temperature parameter, retrying without it`);
+      const { temperature, ...rest } = body;
+      return rest;
     }
-  );
-
-  // Defensive check for response structure
-  if (response.data && response.data.candidates && response.data.candidates[0] &&
-      response.data.candidates[0].content && response.data.candidates[0].content.parts &&
-      response.data.candidates[0].content.parts[0] && response.data.candidates[0].content.parts[0].text) {
-    return response.data.candidates[0].content.parts[0].text.trim();
-  } else {
-    console.error('Unexpected Gemini API response structure:', response.data);
-    throw new Error('Failed to parse Gemini API response.');
+    return null;
   }
+}));
+
+// Tool the model is forced to call when the result has a schema; its input is the result.
+// Tool inputs are objects, so any other schema is wrapped in a "result" property.
+const RESULT_TOOL = 'submit_result';
+
+function anthropic_result_tool(schema) {
+  return {
+    name: RESULT_TOOL,
+    description: 'Submit the final result',
+    input_schema: schema.type === 'object'
+      ? schema
+      : { type: 'object', properties: { result: schema }, required: ['result'] }
+  };
 }
 
-/**
- * Process a request using xAI (Grok) API
- * @param {string} model - The xAI model to use (e.g., "grok-4")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
- */
-async function process_xai_request(model, prompt) {
-  if (!GROK_API_KEY) {
-    throw new Error('GROK_API_KEY environment variable is not set');
-  }
+// Extended thinking budget for "thinking: true"
+const DEFAULT_THINKING_BUDGET = 4096;
 
-  const response = await axios.post(
-    'https://api.x.ai/v1/chat/completions',
-    {
-      model: model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0,
-      max_tokens: 4096,
-      stream: false
-    },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROK_API_KEY}`
-      }
-    }
-  );
+function anthropic_thinking_budget(params) {
+  if (!params.thinking) return null;
+  return params.thinking === true ? DEFAULT_THINKING_BUDGET : params.thinking;
+}
+
+// The thinking budget counts towards max_tokens
+function anthropic_max_tokens(params) {
+  return (params.max_tokens ?? 4096) + (anthropic_thinking_budget(params) || 0);
+}
 
-  return response.data.choices[0].message.content.trim();
+// Extended thinking can't be combined with a prefill, a fixed temperature or a forced tool call
+function anthropic_forces_tool(params) {
+  return Boolean(params.response_schema) && !params.thinking;
 }
 
 /**
- * Process a request using DeepSeek's API
- * @param {string} model - The DeepSeek model to use (e.g., "deepseek-chat")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
+ * Anthropic (e.g., "claude-3-opus", "claude-3-sonnet")
+ * System messages go to the top-level `system` field; a trailing assistant message is a prefill.
+ * A result schema is enforced by forcing a tool call, which replaces the prefill.
+ * With extended thinking the prefill is dropped and `max_tokens` is the answer on top of the thinking budget.
  */
-async function process_deepseek_request(model, prompt) {
-  if (!DEEPSEEK_API_KEY) {
-    throw new Error('DEEPSEEK_API_KEY environment variable is not set');
-  }
-
-  const response = await axios.post(
-    'https://api.deepseek.com/v1/chat/completions',
-    {
+register_provider({
+  name: 'anthropic',
+  auth: 'x-api-key',
+  apiKeyEnv: 'ANTHROPIC_API_KEY',
+  headers: { 'anthropic-version': '2023-06-01' },
+  endpoint: () => 'https://api.anthropic.com/v1/messages',
+  supportsPrefill: (params) => !params.response_schema && !params.thinking,
+  maxOutputTokens: anthropic_max_tokens,
+  buildRequest: (model, messages, params) => {
+    const { system, conversation } = split_system(messages);
+    if ((params.response_schema || params.thinking) && conversation[conversation.length - 1].role === 'assistant') {
+      conversation.pop();
+    }
+    const budget = anthropic_thinking_budget(params);
+    const forceTool = anthropic_forces_tool(params);
+    return compact({
       model: model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.0,
-      max_tokens: 4096,
-    },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${DEEPSEEK_API_KEY}`
+      system: system,
+      // The API rejects a prefill ending with whitespace
+      messages: conversation.map((message, i) =>
+        (i === conversation.length - 1 && message.role === 'assistant')
+          ? { role: 'assistant', content: message.content.trimEnd() }
+          : message),
+      temperature: budget ? undefined : (params.temperature ?? 0.0),
+      top_p: params.top_p,
+      max_tokens: anthropic_max_tokens(params),
+      stop_sequences: params.stop,
+      thinking: budget ? { type: 'enabled', budget_tokens: budget } : undefined,
+      tools: forceTool ? [anthropic_result_tool(params.response_schema)] : undefined,
+      tool_choice: forceTool ? { type: 'tool', name: RESULT_TOOL } : undefined
+    });
+  },
+  parseResponse: (data, params) => {
+    if (anthropic_forces_tool(params)) {
+      const call = data.content.find(block => block.type === 'tool_use' && block.name === RESULT_TOOL);
+      if (!call) {
+        throw new Error('Anthropic response has no result tool call');
       }
+      return JSON.stringify(params.response_schema.type === 'object' ? call.input : call.input.result);
     }
-  );
-
-  return response.data.choices[0].message.content.trim();
+    // Skip thinking blocks
+    return data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+  },
+  stopReason: (data) => map_stop_reason(data.stop_reason, {
+    stop: ['end_turn', 'stop_sequence'],
+    length: ['max_tokens', 'model_context_window_exceeded'],
+    tool_call: ['tool_use'],
+    content_filter: ['refusal']
+  }),
+  // Prompt caching bills cache writes and reads as input
+  usage: (data) => ({
+    inputTokens: (data.usage?.input_tokens || 0) + (data.usage?.cache_creation_input_tokens || 0) +
+      (data.usage?.cache_read_input_tokens || 0),
+    outputTokens: data.usage?.output_tokens
+  })
+});
+
+// Gemini's structured output: a JSON schema (in its OpenAPI dialect) or a fixed set of answers
+function gemini_response_format(params) {
+  if (params.response_schema) {
+    return { responseMimeType: 'application/json', responseSchema: to_gemini_schema(params.response_schema) };
+  }
+  if (params.response_enum) {
+    return { responseMimeType: 'text/x.enum', responseSchema: { type: 'STRING', enum: params.response_enum } };
+  }
+  return { responseMimeType: params.response_format === 'json' ? 'application/json' : undefined };
 }
 
 /**
- * Process a request using Alibaba Cloud DashScope (Qwen) API
- * @param {string} model - The Qwen model id (e.g., "qwen-turbo", "qwen-plus")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
+ * Google Gemini (e.g., "gemini-pro", "gemini-3-pro-preview")
+ * System messages go to `systemInstruction`; assistant turns use the "model" role
  */
-async function process_alibaba_request(model, prompt) {
-  if (!QWEN_API_KEY) {
-    throw new Error('QWEN_API_KEY environment variable is not set');
-  }
-
-  const response = await axios.post(
-    'https://dashscope.aliyuncs.com/api/v1/services/aigc/text-generation/generation',
-    {
-      model: model,
-      input: {
-        messages: [{ role: 'user', content: prompt }]
-      },
-      parameters: {
-        temperature: 0.0,
-        max_tokens: 4096
-      }
-    },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${QWEN_API_KEY}`
-      }
+register_provider({
+  name: 'google',
+  auth: 'query',
+  apiKeyEnv: 'GEMINI_API_KEY',
+  endpoint: (model) => `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+  buildRequest: (model, messages, params) => {
+    const { system, conversation } = split_system(messages);
+    return compact({
+      systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+      contents: conversation.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{
+          text: message.content
+        }]
+      })),
+      generationConfig: compact({
+        temperature: params.temperature ?? 0.0,
+        topP: params.top_p,
+        maxOutputTokens: params.max_tokens ?? 4096,
+        stopSequences: params.stop,
+        seed: params.seed,
+        ...gemini_response_format(params),
+        // true: the model decides how much to think (-1), false: no thinking (0)
+        thinkingConfig: params.thinking === undefined ? undefined : {
+          thinkingBudget: params.thinking === true ? -1 : (params.thinking === false ? 0 : params.thinking)
+        }
+      })
+    });
+  },
+  parseResponse: (data) => {
+    // Defensive check for response structure
+    const parts = data?.candidates?.[0]?.content?.parts;
+    // Thought summaries are parts marked `thought`
+    const text = Array.isArray(parts)
+      ? parts.filter(part => !part.thought && typeof part.text === 'string').map(part => part.text).join('')
+      : '';
+    if (text) {
+      return text;
     }
-  );
-
-  return response.data.output.text.trim();
-}
+    // Thinking can use up the whole token limit
+    if (data?.candidates?.[0]?.finishReason === 'MAX_TOKENS') {
+      return '';
+    }
+    console.error('Unexpected Gemini API response structure:', data);
+    throw new Error('Failed to parse Gemini API response.');
+  },
+  stopReason: (data) => map_stop_reason(data?.candidates?.[0]?.finishReason, {
+    stop: ['STOP'],
+    length: ['MAX_TOKENS'],
+    content_filter: ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII']
+  }),
+  // Thinking tokens are billed as output
+  usage: (data) => ({
+    inputTokens: data?.usageMetadata?.promptTokenCount,
+    outputTokens: (data?.usageMetadata?.candidatesTokenCount || 0) + (data?.usageMetadata?.thoughtsTokenCount || 0)
+  })
+});
 
 /**
- * Process a request using Groq's API
- * @param {string} model - The Groq model to use (e.g., "llama3-8b-8192", "mixtral-8x7b-32768")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
+ * Alibaba Cloud DashScope (e.g., "qwen-turbo", "qwen-plus")
  */
-async function process_groq_request(model, prompt) {
-  if (!GROQ_API_KEY) {
-    throw new Error('GROQ_API_KEY environment variable is not set');
-  }
-
-  const response = await axios.post(
-    'https://api.groq.com/openai/v1/chat/completions',
-    {
-      model: model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.0,
-      max_tokens: 4096,
+register_provider({
+  name: 'alibaba',
+  auth: 'bearer',
+  apiKeyEnv: 'QWEN_API_KEY',
+  endpoint: () => 'https://dashscope.aliyuncs.com/api/v1/services/aigc/text-generation/generation',
+  buildRequest: (model, messages, params) => ({
+    model: model,
+    input: {
+      messages: messages
     },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROQ_API_KEY}`
-      }
-    }
-  );
-
-  return response.data.choices[0].message.content.trim();
-}
+    parameters: compact({
+      temperature: params.temperature ?? 0.0,
+      top_p: params.top_p,
+      max_tokens: params.max_tokens ?? 4096,
+      stop: params.stop,
+      seed: params.seed,
+      enable_thinking: params.thinking === undefined ? undefined : params.thinking !== false,
+      thinking_budget: typeof params.thinking === 'number' ? params.thinking : undefined,
+      // JSON mode and thinking are only available with the "message" result format
+      result_format: (params.response_format === 'json' || params.thinking) ? 'message' : undefined,
+      response_format: params.response_format === 'json' ? { type: 'json_object' } : undefined
+    })
+  }),
+  parseResponse: (data) => data.output.text ?? data.output.choices[0].message.content,
+  stopReason: (data) => map_stop_reason(data.output.finish_reason ?? data.output.choices?.[0]?.finish_reason, {
+    stop: ['stop'], length: ['length']
+  }),
+  usage: (data) => ({ inputTokens: data.usage?.input_tokens, outputTokens: data.usage?.output_tokens })
+});
 
 /**
- * Process a request using Moonshot (Kimi) API
- * @param {string} model - The Moonshot model to use (e.g., "kimi-thinking-preview")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
+ * xAI Grok (e.g., "grok-4")
  */
-async function process_moonshot_request(model, prompt) {
-  if (!MOONSHOT_API_KEY) {
-    throw new Error('MOONSHOT_API_KEY environment variable is not set');
-  }
-
-  const response = await axios.post(
-    'https://api.moonshot.cn/v1/chat/completions',
-    {
-      model: model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.0,
-    },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${MOONSHOT_API_KEY}`
-      }
-    }
-  );
+register_provider(openai_compatible({
+  name: 'xai',
+  baseUrl: 'https://api.x.ai/v1',
+  apiKeyEnv: 'GROK_API_KEY',
+  supportsJsonSchema: true,
+  defaultParams: { temperature: 0, max_tokens: 4096, stream: false }
+}));
 
-  return response.data.choices[0].message.content.trim();
-}
+/**
+ * Groq (e.g., "llama3-8b-8192", "mixtral-8x7b-32768")
+ */
+register_provider(openai_compatible({
+  name: 'groq',
+  baseUrl: 'https://api.groq.com/openai/v1',
+  apiKeyEnv: 'GROQ_API_KEY',
+  defaultParams: { temperature: 0.0, max_tokens: 4096 }
+}));
 
 /**
- * Process a request using Z.ai (Zhipu) GLM API
- * @param {string} model - The GLM model to use (e.g., "GLM-4.6", "GLM-4.5-Air")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
+ * DeepSeek (e.g., "deepseek-chat")
  */
-async function process_zai_request(model, prompt) {
-  if (!ZAI_API_KEY) {
-    throw new Error('ZAI_API_KEY environment variable is not set');
-  }
+register_provider(openai_compatible({
+  name: 'deepseek',
+  baseUrl: 'https://api.deepseek.com/v1',
+  apiKeyEnv: 'DEEPSEEK_API_KEY',
+  defaultParams: { temperature: 0.0, max_tokens: 4096 }
+}));
 
-  const response = await axios.post(
-    'https://api.z.ai/api/paas/v4/chat/completions',
-    {
-      model: model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.0,
-      max_tokens: 4096,
-    },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${ZAI_API_KEY}`
-      }
-    }
-  );
+/**
+ * Moonshot Kimi (e.g., "kimi-thinking-preview")
+ */
+register_provider(openai_compatible({
+  name: 'moonshot',
+  baseUrl: 'https://api.moonshot.cn/v1',
+  apiKeyEnv: 'MOONSHOT_API_KEY',
+  defaultParams: { temperature: 0.0 }
+}));
 
-  return response.data.choices[0].message.content.trim();
-}
+/**
+ * Z.ai Zhipu GLM (e.g., "GLM-4.6", "GLM-4.5-Air")
+ */
+register_provider(openai_compatible({
+  name: 'zai',
+  baseUrl: 'https://api.z.ai/api/paas/v4',
+  apiKeyEnv: 'ZAI_API_KEY',
+  defaultParams: { temperature: 0.0, max_tokens: 4096 }
+}));
 
 /**
- * Process a request using Perplexity's API
- * @param {string} model - The Perplexity model to use (e.g., "sonar", "pplx-7b-chat")
- * @param {string} prompt - The user prompt
- * @returns {Promise<string>} - The model's response
+ * Perplexity (e.g., "sonar", "pplx-7b-chat")
  */
-async function process_perplexity_request(model, prompt) {
-  if (!PERPLEXITY_API_KEY) {
-    throw new Error('PERPLEXITY_API_KEY environment variable is not set');
-  }
+register_provider(openai_compatible({
+  name: 'perplexity',
+  baseUrl: 'https://api.perplexity.ai',
+  apiKeyEnv: 'PERPLEXITY_API_KEY',
+  defaultParams: { temperature: 0.0, max_tokens: 4096 }
+}));
 
-  const response = await axios.post(
-    'https://api.perplexity.ai/chat/completions',
-    {
-      model: model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.0,
-      max_tokens: 4096,
-    },
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${PERPLEXITY_API_KEY}`
-      }
-    }
-  );
+/**
+ * Self-hosted backends. Base URLs and model name mappings (JSON) come from the environment;
+ * sampling is deterministic (temperature 0, fixed seed) so nodes serving the same weights agree.
+ */
 
-  return response.data.choices[0].message.content.trim();
-}
+// Ollama native API (e.g., "llama3.1:8b")
+register_provider(ollama_native({
+  name: 'ollama',
+  baseUrl: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434',
+  models: models_from_env('OLLAMA_MODELS')
+}));
+
+// llama.cpp server (serves the single model it was started with)
+register_provider(llamacpp_server({
+  name: 'llamacpp',
+  baseUrl: process.env.LLAMACPP_BASE_URL || 'http://127.0.0.1:8080'
+}));
+
+// vLLM OpenAI-compatible server
+register_provider(self_hosted_openai({
+  name: 'vllm',
+  baseUrl: process.env.VLLM_BASE_URL || 'http://127.0.0.1:8000/v1',
+  apiKeyEnv: process.env.VLLM_API_KEY ? 'VLLM_API_KEY' : undefined,
+  supportsJsonSchema: true,
+  models: models_from_env('VLLM_MODELS')
+}));
+
+// Hugging Face Text Generation Inference (OpenAI-compatible Messages API)
+register_provider(self_hosted_openai({
+  name: 'tgi',
+  baseUrl: process.env.TGI_BASE_URL || 'http://127.0.0.1:3000/v1',
+  apiKeyEnv: process.env.TGI_API_KEY ? 'TGI_API_KEY' : undefined,
+  models: models_from_env('TGI_MODELS')
+}));
+
+// Operator-defined platforms
+load_providers_config();
 
 module.exports = {
-  process_llm_request
+  process_llm_request,
+  is_platform_available,
+  get_provider_health: get_breaker_states
 };
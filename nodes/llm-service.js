@@ -1,52 +1,24 @@
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('ethers');
 const process = require('process');
-const fs = require('fs');
-const { initialize_event_handling } = require('./contract-events.js');
-const { process_llm_request } = require('./llm-requests.js');
-
-// Storage service configuration
-// Default to production storage service; override with STORAGE_SERVICE_URL env var for local dev
-const STORAGE_SERVICE_URL = process.env.STORAGE_SERVICE_URL || 'https://storage.aergo.app';
-
-// HTTP client for storage service
-async function getContent(hash) {
-  try {
-    const response = await fetch(`${STORAGE_SERVICE_URL}/content/${hash}`);
-    if (response.status === 404) {
-      return null;
-    }
-    if (!response.ok) {
-      console.error(`Storage service error: ${response.status}`);
-      return null;
-    }
-    const buffer = await response.arrayBuffer();
-    return Buffer.from(buffer);
-  } catch (error) {
-    console.error('Error fetching content from storage service:', error.message);
-    return null;
-  }
-}
-
-async function storeContent(content) {
-  try {
-    const response = await fetch(`${STORAGE_SERVICE_URL}/store`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/octet-stream' },
-      body: content
-    });
-    if (!response.ok) {
-      throw new Error(`Storage service error: ${response.status}`);
-    }
-    const data = await response.json();
-    if (!data.success) {
-      throw new Error(data.error || 'Failed to store content');
-    }
-    return data.hash;
-  } catch (error) {
-    console.error('Error storing content to storage service:', error.message);
-    throw error;
-  }
-}
+const { initialize_event_handling, terminate_event_handling } = require('./contract-events.js');
+const { process_llm_request, is_platform_available } = require('./llm-requests.js');
+const { STOP_REASONS, EMPTY_USAGE, add_usage, max_output_tokens } = require('./provider-registry.js');
+const { parseConfig } = require('./prompt-config.js');
+const { render_template } = require('./prompt-template.js');
+const { guard_inputs, fence_transform } = require('./input-guard.js');
+const { JOB_STATE, initialize_job_queue, add_job, update_job, cancel_job, get_job, get_unfinished_jobs } = require('./job-queue.js');
+const { getContent, storeContent } = require('./storage.js');
+const { check_result, repair_messages } = require('./result-format.js');
+const { normalize_result } = require('./result-normalize.js');
+const { load_wallet } = require('./node-wallet.js');
+const { TX_ERROR, initialize_tx_manager, send_transaction, wait_for_transaction } = require('./tx-manager.js');
+const { load_policy, check_request_policy } = require('./request-policy.js');
+const { initialize_ledger, record_llm_usage, record_gas, record_payment, print_ledger_report } = require('./ledger.js');
+const { FailoverProvider } = require('./rpc-provider.js');
+const { BASE_WAIT_TIME, initialize_scheduler, set_nodes, slot_wait, wait_for_turn, on_request_event } = require('./node-scheduler.js');
+const { initialize_request_monitor, terminate_request_monitor, on_monitor_event } = require('./request-monitor.js');
 
 // Contract ABI - only the functions/events we need
 const CONTRACT_ABI = [
@@ -61,6 +33,11 @@ const CONTRACT_ABI = [
   "function getAuthorizedNodes() external view returns (address[] memory)",
   "function checkSubmission(uint256 requestId, address nodeAddress) external view returns (string memory)",
   "function getRequestInfo(uint256 requestId) external view returns (tuple(bytes32 platform, bytes32 model, bytes32 prompt, string input, uint8 redundancy, bool returnContentWithinResultTag, bool storeResultOffchain, address caller, string callback, bytes args))",
+  "function getPrice(bytes32 platform, bytes32 model) external view returns (uint256 priceCents, bool supported)",
+  "function getPriceInToken(bytes32 platform, bytes32 model, address token) external view returns (uint256 amount, uint8 status)",
+  "function submissionCount(uint256 requestId) external view returns (uint256)",
+  "function submissions(uint256 requestId, uint256 index) external view returns (address node, bytes32 resultHash)",
+  "function results(uint256 requestId, bytes32 resultHash) external view returns (string memory)",
 
   // Mutating functions
   "function sendResult(uint256 requestId, string calldata result) external"
@@ -70,50 +47,50 @@ const CONTRACT_ABI = [
 const NETWORKS = {
   // Ethereum
   mainnet: {
-    rpc: 'https://eth.llamarpc.com',
+    rpc: ['https://eth.llamarpc.com', 'https://ethereum-rpc.publicnode.com'],
     contract: '--insert-contract-address-here--'
   },
   sepolia: {
-    rpc: 'https://rpc.sepolia.org',
+    rpc: ['https://rpc.sepolia.org', 'https://ethereum-sepolia-rpc.publicnode.com'],
     contract: '--insert-contract-address-here--'
   },
   // Polygon
   polygon: {
-    rpc: 'https://polygon-rpc.com',
+    rpc: ['https://polygon-rpc.com', 'https://polygon-bor-rpc.publicnode.com'],
     contract: '--insert-contract-address-here--'
   },
   mumbai: {
-    rpc: 'https://rpc-mumbai.maticvigil.com',
+    rpc: ['https://rpc-mumbai.maticvigil.com'],
     contract: '--insert-contract-address-here--'
   },
   // Arbitrum
   arbitrum: {
-    rpc: 'https://arb1.arbitrum.io/rpc',
+    rpc: ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one-rpc.publicnode.com'],
     contract: '--insert-contract-address-here--'
   },
   // Base
   base: {
-    rpc: 'https://mainnet.base.org',
+    rpc: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
     contract: '--insert-contract-address-here--'
   },
   // HPP (High Performance Platform)
   'hpp-mainnet': {
     chainId: 190415,
-    rpc: 'https://mainnet.hpp.io',
-    wss: 'wss://mainnet.hpp.io',
+    rpc: ['https://mainnet.hpp.io'],
+    wss: ['wss://mainnet.hpp.io'],
     explorer: 'https://explorer.hpp.io/',
     contract: '--insert-contract-address-here--'
   },
   'hpp-sepolia': {
     chainId: 181228,
-    rpc: 'https://sepolia.hpp.io',
-    wss: 'wss://sepolia.hpp.io',
+    rpc: ['https://sepolia.hpp.io'],
+    wss: ['wss://sepolia.hpp.io'],
     explorer: 'https://sepolia-explorer.hpp.io/',
     contract: '0x671B37bA10efB54C8D4B3bc3297A9C5f99d66194'
   },
   // Local development
   local: {
-    rpc: 'http://127.0.0.1:8545',
+    rpc: ['http://127.0.0.1:8545'],
     contract: process.env.LLM_SERVICE_CONTRACT
   }
 };
@@ -124,18 +101,30 @@ var contract;
 var contract_address;
 var network_name;
 
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+
+// Graceful shutdown and drain mode
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 60000;
+var shutting_down = false;
+var draining = false;
+const active_jobs = new Set();  // requests being processed (past their round-robin wait)
+
 // Node scheduling variables
 var myNodeIndex = -1;         // This node's index in the authorized nodes list (0-based)
 var numNodes = 0;             // Total number of authorized nodes
-const BASE_WAIT_TIME = 60000; // Base wait time in milliseconds (60 seconds)
+const MAX_CONTINUATIONS = 3;  // Continuations of an answer cut off by the token limit ("on_truncation: continue")
+// ERC-20 token to value submissions in, in the ledger (getPriceInToken); prices are always recorded in cents
+const PAYMENT_TOKEN = process.env.PAYMENT_TOKEN ? ethers.getAddress(process.env.PAYMENT_TOKEN) : null;
 
 // Read the command line argument
 const args = process.argv.slice(2);
 if (args.length == 0 || !NETWORKS[args[0]]) {
-  var path = require("path");
   var file = path.basename(process.argv[1]);
   console.log("Usage:");
   console.log("  node", file, "<network>");
+  console.log("  node", file, "<network> report    (LLM usage, costs and earnings from the ledger)");
+  console.log("  node", file, "<network> drain     (stop taking new requests, finish the running ones)");
+  console.log("  node", file, "<network> undrain   (take new requests again)");
   console.log("");
   console.log("Available networks:");
   Object.keys(NETWORKS).forEach(net => console.log("  -", net));
@@ -154,67 +143,38 @@ contract_address = networkConfig.contract;
 console.log(`Running on ${network_name} network`);
 console.log(`Contract address: ${contract_address}`);
 
-// Initialize provider. Prefer WebSocket when configured so we receive events in
-// real-time rather than polling eth_blockNumber every 4 s (ethers JsonRpcProvider default).
-if (networkConfig.wss) {
-  console.log(`Using WebSocket provider: ${networkConfig.wss}`);
-  provider = new ethers.WebSocketProvider(networkConfig.wss);
-  setup_wss_health(provider);
-} else {
-  provider = new ethers.JsonRpcProvider(networkConfig.rpc);
+if (args[1] === 'report') {
+  print_ledger_report(contract_address);
+  process.exit(0);
 }
 
-/**
- * If the WebSocket closes or a 2-minute ping isn't acknowledged, exit so PM2
- * restarts the process with a fresh connection. Ethers v6 doesn't reconnect on
- * close (see provider-websocket.ts) and private RPC nodes can silently drop
- * TCP — ping/pong catches the half-open case too.
- */
-function setup_wss_health(wssProvider) {
-  let ws;
-  try { ws = wssProvider.websocket; } catch { return; }
-  if (!ws || typeof ws.on !== 'function') return;
-
-  const exitForRestart = (reason) => {
-    console.error(`[WSS] ${reason} — exiting for PM2 restart`);
-    process.exit(1);
-  };
-
-  ws.on('close', (code) => exitForRestart(`socket closed (code=${code})`));
-  ws.on('error', (err) => console.error('[WSS] socket error:', err && err.message ? err.message : err));
+// Drain mode is on while this file exists (see watch_drain_file), so it survives a restart
+const drain_file_path = path.join(CONFIG_PATH, contract_address.toLowerCase() + '.drain');
 
-  let pongReceived = true;
-  ws.on('pong', () => { pongReceived = true; });
-  setInterval(() => {
-    if (!pongReceived) return exitForRestart('no pong within keep-alive window');
-    pongReceived = false;
-    try {
-      if (ws.readyState === 1 /* OPEN */ && typeof ws.ping === 'function') ws.ping();
-      else exitForRestart(`socket not open (readyState=${ws.readyState})`);
-    } catch (err) { exitForRestart(`ping threw: ${err.message}`); }
-  }, 2 * 60 * 1000);
-}
-
-// Read or generate an account for this node
-try {
-  const privateKeyHex = fs.readFileSync(__dirname + '/account.data', 'utf8').trim();
-  console.log('Reading account from file...');
-  wallet = new ethers.Wallet(privateKeyHex, provider);
-} catch (err) {
-  if (err.code == 'ENOENT') {
-    console.log('Generating new account...');
-    wallet = ethers.Wallet.createRandom().connect(provider);
-    fs.writeFileSync(__dirname + '/account.data', wallet.privateKey);
+if (args[1] === 'drain' || args[1] === 'undrain') {
+  if (args[1] === 'drain') {
+    fs.writeFileSync(drain_file_path, new Date().toISOString() + '\n');
+    console.log(`Drain mode on: ${drain_file_path} created, the running node stops taking new requests`);
   } else {
-    console.error(err);
-    process.exit(1);
+    fs.rmSync(drain_file_path, { force: true });
+    console.log(`Drain mode off: ${drain_file_path} removed, the running node takes new requests again`);
   }
+  process.exit(0);
 }
 
-console.log('Account address:', wallet.address);
-
-// Initialize contract instance
-contract = new ethers.Contract(contract_address, CONTRACT_ABI, wallet);
+// Initialize provider. Calls fail over between the RPC endpoints; new blocks come from a WebSocket
+// endpoint when configured (real-time events), and from polling eth_blockNumber while it reconnects.
+// RPC_URLS / WSS_URLS (comma-separated) replace the network's endpoints.
+function endpoint_list(env, configured) {
+  return env ? env.split(',').map(url => url.trim()).filter(Boolean) : [].concat(configured || []);
+}
+const rpcUrls = endpoint_list(process.env.RPC_URLS, networkConfig.rpc);
+const wssUrls = endpoint_list(process.env.WSS_URLS, networkConfig.wss);
+console.log(`RPC endpoints: ${rpcUrls.join(', ')}`);
+if (wssUrls.length > 0) {
+  console.log(`WebSocket endpoints: ${wssUrls.join(', ')}`);
+}
+provider = new FailoverProvider({ rpc: rpcUrls, wss: wssUrls, chainId: networkConfig.chainId });
 
 // Helper function to sleep for a given number of milliseconds
 function sleep(ms) {
@@ -231,6 +191,7 @@ async function fetch_node_index() {
   }
 
   numNodes = nodes.length;
+  set_nodes(nodes, wallet.address);
 
   if (nodes.length === 0) {
     myNodeIndex = -1;
@@ -253,34 +214,6 @@ async function fetch_node_index() {
   return true;
 }
 
-// Calculate wait time based on position in round-robin for this request
-function calculate_wait_time(request_id, redundancy) {
-  if (numNodes === 0) return 0;
-
-  // Convert request_id to number if it's a BigInt
-  const reqId = typeof request_id === 'bigint' ? Number(request_id) : parseInt(request_id);
-
-  // Determine starting node for this request (round-robin)
-  const startNode = reqId % numNodes;
-
-  // Calculate this node's position relative to the start node
-  const myPosition = (myNodeIndex - startNode + numNodes) % numNodes;
-
-  // If within redundancy window, no wait needed
-  if (myPosition < redundancy) {
-    return 0;
-  }
-
-  // Otherwise, wait based on how far we are from the redundancy window
-  return (myPosition - redundancy + 1) * BASE_WAIT_TIME;
-}
-
-// Check if a request is still pending (not yet processed)
-async function is_request_pending(request_id) {
-  const status = await contract.checkSubmission(request_id, wallet.address);
-  return status === "OK";
-}
-
 // Resolve content from hash using storage service
 async function resolveContentFromHash(hash) {
   if (!hash || typeof hash !== 'string') {
@@ -296,55 +229,26 @@ async function resolveContentFromHash(hash) {
   return hash;
 }
 
-// Parse config content in custom format:
-// First line (optional): model: platform/model
-// Remaining lines (or all lines if no model specified): prompt
-function parseConfig(content) {
-  if (!content || typeof content !== 'string') {
-    return null;
+// Resolve content hashes in an input value, including inside nested objects and arrays
+async function resolveInputValue(value) {
+  if (typeof value === 'string') {
+    return resolveContentFromHash(value);
   }
-
-  const lines = content.split('\n');
-  if (lines.length < 1) {
-    return null;
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(resolveInputValue));
   }
-
-  const firstLine = lines[0].trim();
-
-  // Check if first line starts with "model: "
-  if (firstLine.startsWith('model: ')) {
-    // Extract platform/model from first line
-    const modelSpec = firstLine.substring(7).trim(); // Remove "model: " prefix
-    const slashIndex = modelSpec.indexOf('/');
-
-    if (slashIndex === -1) {
-      console.error('Invalid config format: model line must be "model: platform/model"');
-      return null;
-    }
-
-    const platform = modelSpec.substring(0, slashIndex).trim();
-    const model = modelSpec.substring(slashIndex + 1).trim();
-
-    if (!platform || !model) {
-      console.error('Invalid config format: platform and model cannot be empty');
-      return null;
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = await resolveInputValue(item);
     }
-
-    // Remaining lines: prompt
-    const prompt = lines.slice(1).join('\n');
-
-    return { platform, model, prompt };
-  } else {
-    // No model specified, entire content is the prompt
-    const prompt = content;
-    return { platform: null, model: null, prompt };
+    return resolved;
   }
+  return value;
 }
 
-// Build the full prompt from config and user inputs
-async function buildPrompt(config, inputs) {
-  let prompt = config.prompt || '';
-
+// Resolve the input JSON of a request, fetching values given as content hashes
+async function resolveInputs(inputs) {
   // inputs from Solidity is a JSON string, parse it
   let inputObj = {};
   if (inputs && typeof inputs === 'string' && inputs.length > 0) {
@@ -355,20 +259,37 @@ async function buildPrompt(config, inputs) {
     }
   }
 
-  // Replace placeholders in the prompt with resolved input values
-  // Supports {{key}} style placeholders
+  const values = {};
   if (inputObj && typeof inputObj === 'object') {
-    for (const [key, valueHash] of Object.entries(inputObj)) {
-      const resolvedValue = await resolveContentFromHash(valueHash);
+    for (const [key, value] of Object.entries(inputObj)) {
+      const resolvedValue = await resolveInputValue(value);
       if (resolvedValue !== null) {
-        // Replace {{key}} with the resolved value
-        const placeholder = new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'g');
-        prompt = prompt.replace(placeholder, resolvedValue);
+        values[key] = resolvedValue;
       }
     }
   }
 
-  return prompt;
+  return values;
+}
+
+// Build the chat messages from config and user inputs
+async function buildMessages(request_id, config, inputs) {
+  const values = guard_inputs(await resolveInputs(inputs), config.inputGuard);
+  const transform = fence_transform(String(request_id), config.inputGuard);
+  return config.messages.map(message => {
+    const { text, missing, warnings } = render_template(message.content, values, {
+      strict: config.strict,
+      transform,
+      blocks: config.version === 2
+    });
+    for (const warning of warnings) {
+      console.warn(`Prompt template (${message.role} message): ${warning}`);
+    }
+    if (missing.length > 0) {
+      console.warn(`Prompt template (${message.role} message): no value for ${missing.map(p => `{{${p}}}`).join(', ')}`);
+    }
+    return { role: message.role, content: text };
+  });
 }
 
 // Extract content from within <result></result> tags
@@ -390,7 +311,8 @@ function extractResultContent(text) {
   // Content starts after the opening tag
   const contentStart = openTagStart + openTag.length;
 
-  // Find closing tag (optional - LLM might forget it)
+  // Find closing tag (optional - LLM might forget it, or it is a stop sequence;
+  // answers cut off by the token limit are rejected before extraction)
   const closeTagStart = text.indexOf(closeTag, contentStart);
 
   let content;
@@ -439,124 +361,360 @@ async function on_llm_request(event, is_new) {
     }
 
     const request_id = event.args.requestId;
-    const redundancy = event.args.redundancy || 1;
+    // uint8 decodes as a BigInt, which the wait arithmetic and the job file can't take
+    const redundancy = Number(event.args.redundancy) || 1;
     console.log(`Received new LLM request with ID: ${request_id}, redundancy: ${redundancy}`);
 
-    // Calculate wait time based on round-robin position
-    const waitTime = calculate_wait_time(request_id, redundancy);
-    const reqId = typeof request_id === 'bigint' ? Number(request_id) : parseInt(request_id);
-    const startNode = reqId % numNodes;
-    const myPosition = (myNodeIndex - startNode + numNodes) % numNodes;
+    // The other nodes take it at their turn
+    if (shutting_down) {
+      console.log(`Not taking request ${request_id}: shutting down`);
+      return;
+    }
+
+    // Calculate wait time based on round-robin position (see node-scheduler.js)
+    const { position, skipped, wait: waitTime } = slot_wait(request_id, redundancy);
+
+    // Draining: first turns are left to the next nodes, backup turns are still served
+    if (draining && position < redundancy) {
+      console.log(`Not taking request ${request_id}: draining`);
+      return;
+    }
+    console.log(`My position for request ${request_id}: ${position}` +
+      (skipped > 0 ? ` (${skipped} dead peer(s) ahead skipped)` : '') + `, wait time: ${waitTime}ms`);
+
+    // Persist the job before waiting so it survives a restart
+    const { job, created } = add_job(request_id, redundancy, Date.now() + waitTime, event.blockNumber);
+    if (!created) {
+      console.log(`Request ${request_id} is already queued (state: ${job.state}), ignoring`);
+      return;
+    }
+
+    await run_job(job, false);
+  } catch (error) {
+    console.error("Error handling LLM request:", error);
+  }
+}
+
+// Resume the jobs left unfinished by a previous run of the node
+function resume_jobs() {
+  const unfinished = get_unfinished_jobs();
+  if (unfinished.length === 0) return;
+
+  console.log(`Resuming ${unfinished.length} unfinished job(s)`);
+  for (const job of unfinished) {
+    console.log(`Resuming request ${job.requestId} (state: ${job.state})`);
+    run_job(job, true);
+  }
+}
+
+// Check if a request is still pending for this node, finishing the job when it is not
+async function check_job_pending(job) {
+  const status = await contract.checkSubmission(job.requestId, wallet.address);
+  if (status === "OK") {
+    return true;
+  }
+  update_job(job.requestId, {
+    state: status === "submitted" ? JOB_STATE.CONFIRMED : JOB_STATE.SKIPPED,
+    reason: status
+  });
+  return false;
+}
 
-    console.log(`My position for request ${request_id}: ${myPosition}, wait time: ${waitTime}ms`);
+// Drive a job from its current state until it is finished
+async function run_job(job, resumed) {
+  const request_id = job.requestId;
 
-    // Wait if we're not in the immediate execution group
-    if (waitTime > 0) {
-      console.log(`Waiting ${waitTime}ms before processing request ${request_id}...`);
-      await sleep(waitTime);
+  try {
+    if (job.state === JOB_STATE.SCHEDULED) {
+      const waitTime = job.dueAt - Date.now();
+
+      // Wait if we're not in the immediate execution group (until the other nodes process the request, at most)
+      if (waitTime > 0) {
+        console.log(`Waiting ${waitTime}ms before processing request ${request_id}...`);
+        if (await wait_for_turn(request_id, job.redundancy, job.createdAt, job.dueAt) && get_job(request_id) === job) {
+          update_job(request_id, { state: JOB_STATE.SKIPPED, reason: 'processed by other nodes' });
+          return;
+        }
+      }
 
-      // After waiting, check if request is still pending
-      const stillPending = await is_request_pending(request_id);
-      if (!stillPending) {
-        console.log(`Request ${request_id} already processed, skipping`);
+      // Cancelled while waiting (its event was removed by a reorg; a new job runs if it reappeared)
+      if (get_job(request_id) !== job) {
+        console.log(`Request ${request_id} was cancelled while waiting, skipping`);
         return;
       }
-      console.log(`Request ${request_id} still pending, processing now`);
-    }
 
-    // Query the contract to get request details
-    const request_info = await contract.getRequestInfo(request_id);
-    console.log("Request details:", request_info);
+      // Not started yet: the next run resumes it
+      if (shutting_down) {
+        return;
+      }
+      active_jobs.add(request_id);
 
-    // caller is at index 7 in the struct
-    if (!request_info || request_info[7] === ethers.ZeroAddress) {
-      console.error(`No details found for request ID: ${request_id}`);
-      return;
+      // After waiting (or restarting), check if request is still pending
+      if (waitTime > 0 || resumed) {
+        if (!await check_job_pending(job)) {
+          console.log(`Request ${request_id} already processed, skipping`);
+          return;
+        }
+        console.log(`Request ${request_id} still pending, processing now`);
+      }
+    } else if (resumed) {
+      active_jobs.add(request_id);
+      // Interrupted mid-flight: a transaction may still be pending, or already have landed
+      const pending = wait_for_transaction(String(request_id));
+      if (pending) {
+        console.log(`Request ${request_id} has a pending transaction, waiting for it`);
+        update_job(request_id, await await_submission(request_id, pending));
+        return;
+      }
+      if (job.txHash) {
+        const receipt = await provider.getTransactionReceipt(job.txHash);
+        if (receipt && receipt.status === 1) {
+          update_job(request_id, { state: JOB_STATE.CONFIRMED, reason: 'receipt found after restart' });
+          return;
+        }
+      }
+      if (!await check_job_pending(job)) {
+        console.log(`Request ${request_id} no longer pending after restart (${job.reason})`);
+        return;
+      }
     }
 
-    // Extract fields from the tuple (Solidity struct)
-    // The struct order: platform, model, prompt, input, redundancy, returnContentWithinResultTag, storeResultOffchain, caller, callback, args
-    const platform_from_request = bytes32ToString(request_info[0]);
-    const model_from_request = bytes32ToString(request_info[1]);
-    const promptHash = bytes32ToHex(request_info[2]);
-    const input = request_info[3];
-    const req_redundancy = request_info[4];
-    const returnContentWithinResultTag = request_info[5];
-    const storeResultOffchain = request_info[6];
-    const caller = request_info[7];
-    const callback = request_info[8];
-    const callbackArgs = request_info[9];
-
-    // Retrieve config from storage using the prompt hash
-    // Config format: first line is platform/model, rest is the prompt
-    const configBuffer = await getContent(promptHash);
-
-    if (!configBuffer) {
-      console.error(`Config not found in storage for hash: ${promptHash}`);
+    await process_job(job);
+  } catch (error) {
+    if (error.code === 'CIRCUIT_OPEN') {
+      // The breaker opened while this request was waiting for its turn or a slot
+      update_job(request_id, { state: JOB_STATE.SKIPPED, reason: error.message });
       return;
     }
-
-    // Convert Buffer to string if needed
-    const configContent = Buffer.isBuffer(configBuffer) ? configBuffer.toString('utf8') : configBuffer;
-    const config = parseConfig(configContent);
-    if (!config) {
-      console.error(`Invalid config format for hash: ${promptHash}`);
-      return;
+    console.error(`Error processing LLM request ${request_id}:`, error);
+    update_job(request_id, { state: JOB_STATE.FAILED, reason: error.message });
+  } finally {
+    if (active_jobs.delete(request_id) && draining && active_jobs.size === 0) {
+      console.log("Drained: no request is being processed");
     }
+  }
+}
 
-    console.log("Retrieved config:", { platform: config.platform, model: config.model, promptLength: config.prompt.length });
+// Fetch the request, call the LLM and submit the result
+async function process_job(job) {
+  const request_id = job.requestId;
 
-    // Get platform and model from request_info first, fall back to config if not specified
-    let platform = platform_from_request || config.platform;
-    let model = model_from_request || config.model;
+  update_job(request_id, { state: JOB_STATE.FETCHING, attempts: job.attempts + 1 });
 
-    if (!platform || !model) {
-      console.error(`Invalid config: missing platform or model in both request_info and config`);
-      return;
-    }
+  // Query the contract to get request details
+  const request_info = await contract.getRequestInfo(request_id);
+  console.log("Request details:", request_info);
+
+  // caller is at index 7 in the struct
+  if (!request_info || request_info[7] === ethers.ZeroAddress) {
+    console.error(`No details found for request ID: ${request_id}`);
+    update_job(request_id, { state: JOB_STATE.SKIPPED, reason: 'request not found' });
+    return;
+  }
+
+  // Extract fields from the tuple (Solidity struct)
+  // The struct order: platform, model, prompt, input, redundancy, returnContentWithinResultTag, storeResultOffchain, caller, callback, args
+  const platform_from_request = bytes32ToString(request_info[0]);
+  const model_from_request = bytes32ToString(request_info[1]);
+  const promptHash = bytes32ToHex(request_info[2]);
+  const input = request_info[3];
+  const req_redundancy = request_info[4];
+  const returnContentWithinResultTag = request_info[5];
+  const storeResultOffchain = request_info[6];
+  const caller = request_info[7];
+  const callback = request_info[8];
+  const callbackArgs = request_info[9];
+
+  // Retrieve config from storage using the prompt hash
+  // Config format: optional model line or v2 header block, then the prompt (see prompt-config.js)
+  const configBuffer = await getContent(promptHash);
+
+  if (!configBuffer) {
+    throw new Error(`Config not found in storage for hash: ${promptHash}`);
+  }
+
+  // Convert Buffer to string if needed
+  const configContent = Buffer.isBuffer(configBuffer) ? configBuffer.toString('utf8') : configBuffer;
+  const config = parseConfig(configContent);
+  if (!config) {
+    throw new Error(`Invalid config format for hash: ${promptHash}`);
+  }
+
+  console.log("Retrieved config:", { platform: config.platform, model: config.model, messages: config.messages.length, promptLength: config.prompt.length });
 
-    if (platform_from_request && model_from_request) {
-      console.log("Using platform/model from request:", { platform, model });
-    } else {
-      console.log("Using platform/model from prompt config:", { platform, model });
+  // Get platform and model from request_info first, fall back to config if not specified
+  let platform = platform_from_request || config.platform;
+  let model = model_from_request || config.model;
+
+  if (!platform || !model) {
+    throw new Error('Invalid config: missing platform or model in both request_info and config');
+  }
+
+  if (platform_from_request && model_from_request) {
+    console.log("Using platform/model from request:", { platform, model });
+  } else {
+    console.log("Using platform/model from prompt config:", { platform, model });
+  }
+
+  // Don't spend a first-turn slot on a platform known to be down: the next node in the round-robin
+  // takes over at its turn (and may use a healthy connection to the platform). A backup turn goes
+  // ahead, as the request is already late: the call fails at once unless the breaker lets a probe through
+  if (slot_wait(request_id, job.redundancy).position < job.redundancy && !is_platform_available(platform)) {
+    update_job(request_id, { state: JOB_STATE.SKIPPED, reason: `circuit breaker for ${platform} is open` });
+    return;
+  }
+
+  // Build the messages from config and resolve input hashes
+  const messages = await buildMessages(request_id, config, input);
+  for (const message of messages) {
+    const content = message.content;
+    console.log(`Built ${message.role} message:`, content.substring(0, 200) + (content.length > 200 ? '...' : ''));
+  }
+
+  // Operator rules and cost check (see request-policy.js): the cost of the platform/model serving the
+  // request against the price it was paid for (the platform's "*" price when it left the model empty)
+  const refusal = await check_request_policy({
+    platform,
+    model,
+    configHash: promptHash,
+    caller,
+    messages,
+    maxTokens: max_output_tokens(platform, config.params),
+    getPriceCents: async () => (await contract.getPrice(request_info[0], request_info[1]))[0],
+    getGasPrice: async () => {
+      const feeData = await provider.getFeeData();
+      return feeData.maxFeePerGas ?? feeData.gasPrice;
     }
+  });
+  if (refusal) {
+    update_job(request_id, { state: JOB_STATE.SKIPPED, reason: `policy: ${refusal}` });
+    return;
+  }
+
+  // Shutting down: don't start a call that may not finish in time (the next run resumes the job from here)
+  if (shutting_down) {
+    console.log(`Request ${request_id} left for the next run before calling the LLM`);
+    return;
+  }
 
-    // Build the prompt from config and resolve input hashes
-    const prompt = await buildPrompt(config, input);
-    console.log("Built prompt:", prompt.substring(0, 200) + (prompt.length > 200 ? '...' : ''));
+  // Process the LLM request
+  // Retries stop once the next node in the round-robin would take over anyway
+  const deadline = Math.max(job.dueAt, Date.now()) + BASE_WAIT_TIME;
+  update_job(request_id, { state: JOB_STATE.CALLING_LLM, platform, model });
+  // Under the platform's rate limits, requests whose turn came first are served first
+  const context = { requestId: request_id, deadline, priority: job.dueAt };
+  let result = await generate_result(platform, model, messages, config, returnContentWithinResultTag, context);
+
+  // Store result off-chain and return hash if flag is set
+  if (storeResultOffchain) {
+    const hash = await storeContent(result);
+    console.log(`Stored result off-chain, hash: ${hash}`);
+    result = hash;
+  }
 
-    // Process the LLM request
-    process_llm_request(platform, model, prompt)
-      .then(async result => {
-        console.log(`Got result for request ${request_id}:`, result);
+  // Final check before submitting (in case another node beat us)
+  if (!await check_job_pending(job)) {
+    console.log(`Request ${request_id} was processed while we were computing, skipping submission`);
+    return;
+  }
 
-        // Extract content from <result> tags if flag is set
-        if (returnContentWithinResultTag) {
-          result = extractResultContent(result);
-          console.log(`Extracted result content: ${result}`);
-        }
+  update_job(request_id, { state: JOB_STATE.SUBMITTING });
+  const outcome = await submit_result(request_id, result);
+  update_job(request_id, outcome);
+  if (outcome.state === JOB_STATE.CONFIRMED) {
+    await record_request_payment(request_id, request_info[0], request_info[1]);
+  }
+}
 
-        // Store result off-chain and return hash if flag is set
-        if (storeResultOffchain) {
-          const hash = await storeContent(result);
-          console.log(`Stored result off-chain, hash: ${hash}`);
-          result = hash;
-        }
+// Record in the ledger what the contract charges per submission for this platform/model
+// (the contract doesn't keep which token a request paid with: PAYMENT_TOKEN is the one to price in)
+async function record_request_payment(request_id, platform, model) {
+  try {
+    const [priceCents, supported] = await contract.getPrice(platform, model);
+    let tokenAmount = null;
+    if (PAYMENT_TOKEN) {
+      const [amount, status] = await contract.getPriceInToken(platform, model, PAYMENT_TOKEN);
+      tokenAmount = status === 0n ? amount : null;
+    }
+    record_payment(request_id, { priceCents: supported ? priceCents : null, token: PAYMENT_TOKEN, tokenAmount });
+  } catch (error) {
+    console.error(`Error reading the price of request ${request_id}:`, error.message);
+  }
+}
 
-        // Final check before submitting (in case another node beat us)
-        const stillPending = await is_request_pending(request_id);
-        if (!stillPending) {
-          console.log(`Request ${request_id} was processed while we were computing, skipping submission`);
-          return;
+// Make equivalent answers identical, so redundant nodes submit the same bytes. The normalised result
+// must still match the output format: steps that break it are a config error, not the model's
+function normalize_checked_result(result, config) {
+  if (config.normalize.length === 0) {
+    return result;
+  }
+  const normalized = normalize_result(result, config.normalize);
+  console.log(`Normalized result: ${normalized}`);
+  const check = check_result(normalized, config.output);
+  if (!check.ok) {
+    throw new Error(`the normalized result does not match the required ${config.output.type} format: ${check.errors.join('; ')}`);
+  }
+  return check.result;
+}
+
+/**
+ * Call the LLM and extract the result, re-prompting while it doesn't match the format required by the config.
+ * Throws when no valid result was obtained, so an invalid result is never submitted.
+ */
+async function generate_result(platform, model, messages, config, returnContentWithinResultTag, context) {
+  const request_id = context.requestId;
+  const maxContinuations = config.onTruncation === 'continue' ? MAX_CONTINUATIONS : 0;
+  // Tokens of every attempt are paid for, including failed ones
+  let usage = EMPTY_USAGE;
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const response = await process_llm_request(platform, model, messages, config.params, { ...context, maxContinuations });
+      usage = add_usage(usage, response.usage);
+      const answer = response.text;
+      console.log(`Got result for request ${request_id} (stop reason: ${response.stopReason || 'unknown'}):`, answer);
+
+      // Never submit an answer cut off by the token limit, unless the config accepts it
+      if (response.stopReason === STOP_REASONS.LENGTH) {
+        if (config.onTruncation !== 'accept') {
+          throw new Error(config.onTruncation === 'continue'
+            ? `response still truncated at the token limit after continuing (at most ${MAX_CONTINUATIONS} times, where ${platform} supports it)`
+            : 'response truncated at the token limit (raise max_tokens or set on_truncation)');
         }
+        console.warn(`Result for request ${request_id} is truncated at the token limit, accepted by the config`);
+      }
 
-        submit_result(request_id, result);
-      })
-      .catch(error => {
-        console.error(`Error processing LLM request ${request_id}:`, error);
-      });
-  } catch (error) {
-    console.error("Error handling LLM request:", error);
+      let result = answer;
+      // Extract content from <result> tags if flag is set
+      if (returnContentWithinResultTag) {
+        result = extractResultContent(result);
+        console.log(`Extracted result content: ${result}`);
+      }
+
+      const check = check_result(result, config.output);
+      if (check.ok) {
+        return normalize_checked_result(check.result, config);
+      }
+      console.warn(`Result for request ${request_id} does not match the required ${config.output.type} format: ${check.errors.join('; ')}`);
+      if (attempt >= config.repairAttempts) {
+        throw new Error(`no result matching the required ${config.output.type} format after ${attempt + 1} attempts`);
+      }
+      messages = repair_messages(messages, answer, check.errors, config.output);
+    }
+  } finally {
+    if (usage.calls > 0) {
+      record_llm_usage(request_id, { platform, model, ...usage });
+    }
+  }
+}
+
+// Events after `block` were rewound by a chain reorganisation: cancel the requests scheduled from them.
+// Those still in the chain are delivered again and rescheduled; requests already being processed
+// are left alone (getRequestInfo / sendResult tell whether they still exist)
+function on_chain_reorg(block) {
+  for (const job of get_unfinished_jobs()) {
+    if (job.blockNumber > block) {
+      cancel_job(job.requestId, `its event after block ${block} was reorganised`);
+    }
   }
 }
 
@@ -570,6 +728,12 @@ async function on_node_list_changed(event) {
 function on_contract_event(event, is_new) {
   console.log("Received contract event:", event.eventName);
 
+  // The scheduler and the monitor follow every request, whether this node takes it or not
+  if (["NewRequest", "ResultSubmitted", "Processed"].includes(event.eventName)) {
+    on_request_event(event, is_new);
+    on_monitor_event(event);
+  }
+
   if (event.eventName === "NewRequest") {
     on_llm_request(event, is_new);
   } else if (event.eventName === "NodeAdded" || event.eventName === "NodeRemoved") {
@@ -577,49 +741,126 @@ function on_contract_event(event, is_new) {
   }
 }
 
-// Send the result to the LLM Service smart-contract
+// Send the result to the LLM Service smart-contract (see tx-manager.js) and return the job's new state
 async function submit_result(request_id, result) {
   console.log("Sending transaction with result:", result);
 
-  try {
-    // Estimate gas for the transaction
-    const gasEstimate = await contract.sendResult.estimateGas(request_id, result);
-
-    // Add 20% buffer to gas estimate
-    const gasLimit = gasEstimate * 120n / 100n;
-
-    // Send the transaction
-    const tx = await contract.sendResult(request_id, result, {
-      gasLimit: gasLimit
-    });
-
-    console.log("Transaction sent:", tx.hash);
-
-    // Wait for confirmation
-    const receipt = await tx.wait();
+  const submission = send_transaction(String(request_id), 'sendResult', [request_id, result], {
+    onSent: (hash) => {
+      console.log("Transaction sent:", hash);
+      update_job(request_id, { txHash: hash });
+    }
+  });
+  return await_submission(request_id, submission);
+}
 
+// Wait for the sendResult transaction of a request and return the job's new state
+async function await_submission(request_id, submission) {
+  try {
+    const receipt = await submission;
     console.log("Transaction receipt:", {
       hash: receipt.hash,
       blockNumber: receipt.blockNumber,
       gasUsed: receipt.gasUsed.toString(),
       status: receipt.status
     });
-
-    if (receipt.status === 1) {
-      console.log("Successfully submitted result");
-    } else {
-      console.log("Failed to submit result (transaction reverted)");
+    record_gas(request_id, receipt);
+    console.log("Successfully submitted result");
+    return { state: JOB_STATE.CONFIRMED };
+  } catch (error) {
+    // Reverted transactions cost gas too
+    if (error.receipt) {
+      record_gas(request_id, error.receipt);
     }
-    return true;
+    switch (error.code) {
+      case TX_ERROR.ALREADY_SUBMITTED:
+        // An earlier transaction of ours landed (e.g. before a restart)
+        return { state: JOB_STATE.CONFIRMED, reason: error.message };
+      case TX_ERROR.REQUEST_NOT_FOUND:
+        // Processed by the other nodes meanwhile
+        return { state: JOB_STATE.SKIPPED, reason: error.message };
+      default:
+        console.error("Error submitting result:", error);
+        return { state: JOB_STATE.FAILED, reason: `result submission failed: ${error.message}` };
+    }
+  }
+}
+
+// Turn drain mode on or off: no first-turn requests are taken while it is on, accepted ones are finished
+function set_draining(value, why) {
+  if (value === draining) return;
+  draining = value;
+  if (!draining) {
+    console.log(`Drain mode off (${why}), taking new requests again`);
+    return;
+  }
+  console.log(`Drain mode on (${why}), not taking first-turn requests; ${active_jobs.size} being processed`);
+  if (active_jobs.size === 0) {
+    console.log("Drained: no request is being processed");
+  }
+}
+
+// Follow the drain file, created and removed by `node llm-service.js <network> drain|undrain`
+function watch_drain_file() {
+  set_draining(fs.existsSync(drain_file_path), 'drain file present');
+  fs.watchFile(drain_file_path, { interval: 5000 }, () => {
+    const exists = fs.existsSync(drain_file_path);
+    set_draining(exists, exists ? 'drain file created' : 'drain file removed');
+  });
+}
+
+// SIGUSR2 toggles drain mode, through the drain file so a restart keeps it
+function toggle_draining() {
+  if (draining) {
+    fs.rmSync(drain_file_path, { force: true });
+  } else {
+    fs.writeFileSync(drain_file_path, new Date().toISOString() + '\n');
+  }
+  set_draining(!draining, 'SIGUSR2');
+}
+
+/**
+ * Stop taking requests and events, give the requests being processed SHUTDOWN_TIMEOUT to finish, then exit.
+ * Whatever is left is already persisted (job queue, pending transactions, event watermark) and is resumed
+ * on the next start. A second signal exits immediately.
+ */
+async function shutdown(signal) {
+  if (shutting_down) {
+    console.warn(`${signal} received again, exiting now`);
+    process.exit(1);
+  }
+  shutting_down = true;
+  console.log(`${signal} received, shutting down (${active_jobs.size} request(s) being processed, waiting up to ${SHUTDOWN_TIMEOUT}ms)`);
+  fs.unwatchFile(drain_file_path);
+  terminate_request_monitor();
+
+  try {
+    await terminate_event_handling();
   } catch (error) {
-    console.error("Error submitting result:", error);
-    return false;
+    console.error("Error terminating event handling:", error);
+  }
+
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT;
+  while (active_jobs.size > 0 && Date.now() < deadline) {
+    await sleep(500);
+  }
+  if (active_jobs.size > 0) {
+    console.warn(`Exiting with request(s) ${[...active_jobs].join(', ')} still being processed, resumed on the next start`);
   }
+
+  provider.destroy();
+  console.log("Shutdown complete");
+  process.exit(0);
 }
 
 // Initialize and start the LLM service
 async function initialize() {
   try {
+    // Read or generate an account for this node (see node-wallet.js)
+    wallet = await load_wallet(provider);
+    console.log('Account address:', wallet.address);
+    contract = new ethers.Contract(contract_address, CONTRACT_ABI, wallet);
+
     // Verify connection to the network
     const network = await provider.getNetwork();
     console.log(`Connected to network: ${network.name} (chainId: ${network.chainId})`);
@@ -635,8 +876,19 @@ async function initialize() {
     // Fetch this node's index from the contract (may not be authorized yet)
     await fetch_node_index();
 
+    // Load the persisted job queue and pick up where the previous run left off
+    initialize_job_queue(contract_address);
+    initialize_ledger(contract_address);
+    initialize_tx_manager({ provider, signer: wallet, contract, contractAddress: contract_address });
+    initialize_scheduler(provider);
+    initialize_request_monitor(contract, contract_address);
+    load_policy();
+    if (myNodeIndex !== -1) {
+      resume_jobs();
+    }
+
     // Initialize contract event handling (listens for NewRequest, NodeAdded, NodeRemoved)
-    await initialize_event_handling(provider, contract, contract_address, on_contract_event);
+    await initialize_event_handling(provider, contract, contract_address, on_contract_event, on_chain_reorg);
 
     console.log("LLM service initialized and listening for events");
     if (myNodeIndex === -1) {
@@ -650,4 +902,8 @@ async function initialize() {
 }
 
 // Start the LLM service
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGUSR2', toggle_draining);
+watch_drain_file();
 initialize();
@@ -0,0 +1,201 @@
+const { ethers } = require('ethers');
+
+// Round-robin scheduling of requests over the authorized nodes
+//
+// Each request orders the nodes by keccak256(requestId, node address), so load spreads evenly
+// whatever the request ids, and every node computes the same order from the same node list. The
+// first `redundancy` nodes answer at once; the next ones take over one BASE_WAIT_TIME after another.
+//
+// Peers are judged from the chain: ResultSubmitted and the sender of the Processed transaction show
+// who answered, for the events the subscription delivers (not the history read back on startup). A peer in the first turn of PEER_DEAD_AFTER_MISSES processed requests in a row without
+// answering looks dead, and the nodes after it no longer wait for it. Any answer makes it alive again.
+
+const BASE_WAIT_TIME = 60000; // Wait per turn in milliseconds (60 seconds)
+const DEAD_AFTER_MISSES = parseInt(process.env.PEER_DEAD_AFTER_MISSES) || 3;
+
+// Requests followed until their Processed event (requests without consensus never get one)
+const MAX_TRACKED_REQUESTS = 10000;
+
+let provider = null;
+let nodes = [];                 // authorized node addresses, lowercase
+let self = null;                // this node's address, lowercase
+const peers = new Map();        // address -> { misses, lastSeen }
+const requests = new Map();     // request id -> { redundancy, submitters: Set of addresses }
+const waiters = new Map();      // request id -> { redundancy, scheduledAt, dueAt, timer, resolve }
+
+function initialize_scheduler(provider_instance) {
+  provider = provider_instance;
+}
+
+/**
+ * Set the authorized nodes (from getAuthorizedNodes)
+ * @param {string[]} addresses - The authorized node addresses
+ * @param {string} own_address - This node's address
+ */
+function set_nodes(addresses, own_address) {
+  nodes = addresses.map(address => address.toLowerCase());
+  self = own_address.toLowerCase();
+}
+
+// The nodes in the order they take the request
+function slot_order(request_id) {
+  const keys = new Map(nodes.map(node =>
+    [node, ethers.solidityPackedKeccak256(['uint256', 'address'], [request_id, node])]));
+  return [...nodes].sort((a, b) => (keys.get(a) < keys.get(b) ? -1 : 1));
+}
+
+function is_alive(node) {
+  const peer = peers.get(node);
+  return node === self || !peer || peer.misses < DEAD_AFTER_MISSES;
+}
+
+/**
+ * This node's turn for a request
+ * @param {bigint|string} request_id - The request id
+ * @param {number|bigint} redundancy - Redundancy requested by the caller (a BigInt as decoded from the event)
+ * @returns {{position: number, skipped: number, wait: number}} - Position in the request's order (-1 if
+ *          this node isn't authorized), peers ahead skipped as dead, and the wait (ms) before its turn
+ */
+function slot_wait(request_id, redundancy) {
+  redundancy = Number(redundancy);
+  const order = slot_order(request_id);
+  const position = order.indexOf(self);
+  if (position === -1) {
+    return { position, skipped: 0, wait: 0 };
+  }
+  const ahead = order.slice(0, position).filter(is_alive).length;
+  const wait = ahead < redundancy ? 0 : (ahead - redundancy + 1) * BASE_WAIT_TIME;
+  return { position, skipped: position - ahead, wait };
+}
+
+/**
+ * Wait for this node's turn on a request. The wait is shortened when a peer ahead starts to look dead,
+ * and ends early when the request is processed.
+ * @param {bigint|string} request_id - The request id
+ * @param {number} redundancy - Redundancy requested by the caller
+ * @param {number} scheduled_at - When the request was scheduled (ms)
+ * @param {number} due_at - When its turn comes, as scheduled (ms)
+ * @returns {Promise<boolean>} - Whether the request was processed meanwhile
+ */
+function wait_for_turn(request_id, redundancy, scheduled_at, due_at) {
+  const id = String(request_id);
+  const previous = waiters.get(id);
+  if (previous) {
+    clearTimeout(previous.timer);
+    previous.resolve(false);
+  }
+  return new Promise((resolve) => {
+    const waiter = { redundancy, scheduledAt: scheduled_at, dueAt: due_at, timer: null, resolve };
+    waiter.timer = setTimeout(() => finish_wait(id, false), Math.max(due_at - Date.now(), 0));
+    waiters.set(id, waiter);
+  });
+}
+
+function finish_wait(id, processed) {
+  const waiter = waiters.get(id);
+  if (!waiter) return;
+  clearTimeout(waiter.timer);
+  waiters.delete(id);
+  waiter.resolve(processed);
+}
+
+// A peer looks dead: bring forward the turns that were waiting for it
+function reschedule_waiters() {
+  for (const [id, waiter] of waiters) {
+    const dueAt = waiter.scheduledAt + slot_wait(id, waiter.redundancy).wait;
+    if (dueAt < waiter.dueAt) {
+      console.log(`Request ${id}: turn brought forward by ${Math.round((waiter.dueAt - dueAt) / 1000)}s`);
+      waiter.dueAt = dueAt;
+      clearTimeout(waiter.timer);
+      waiter.timer = setTimeout(() => finish_wait(id, false), Math.max(dueAt - Date.now(), 0));
+    }
+  }
+}
+
+function peer(node) {
+  if (!peers.has(node)) {
+    peers.set(node, { misses: 0, lastSeen: null });
+  }
+  return peers.get(node);
+}
+
+function mark_answered(node) {
+  if (node === self) return;
+  const entry = peer(node);
+  if (entry.misses >= DEAD_AFTER_MISSES) {
+    console.log(`Peer ${node} is answering again`);
+  }
+  entry.misses = 0;
+  entry.lastSeen = Date.now();
+}
+
+function mark_missed(node) {
+  if (node === self) return;
+  const entry = peer(node);
+  entry.misses++;
+  if (entry.misses === DEAD_AFTER_MISSES) {
+    const lastSeen = entry.lastSeen ? `last answer ${new Date(entry.lastSeen).toISOString()}` : 'no answer seen';
+    console.warn(`Peer ${node} looks dead (missed its first turn on ${entry.misses} requests in a row, ${lastSeen}), not waiting for it`);
+    reschedule_waiters();
+  }
+}
+
+// A request was processed: its first-turn peers that didn't answer missed their turn
+async function on_processed(event, is_new) {
+  const id = String(event.args.requestId);
+  finish_wait(id, true);
+
+  const request = requests.get(id);
+  if (!request) return;
+  requests.delete(id);
+  if (!is_new) return;
+
+  // The final answer completes the consensus without a ResultSubmitted event: its sender is the transaction's
+  try {
+    const tx = await provider.getTransaction(event.transactionHash);
+    if (tx) request.submitters.add(tx.from.toLowerCase());
+  } catch (error) {
+    console.error(`Error reading the transaction that processed request ${id}:`, error.message);
+  }
+
+  for (const [position, node] of slot_order(id).entries()) {
+    if (request.submitters.has(node)) {
+      mark_answered(node);
+    } else if (position < request.redundancy) {
+      mark_missed(node);
+    }
+  }
+}
+
+/**
+ * Follow the requests from the contract events: NewRequest, ResultSubmitted and Processed. Past events
+ * (read back from the chain, e.g. the whole history on a first start) end waits but say nothing about
+ * which peers are alive now.
+ * @param {object} event - The contract event (eventName, args, transactionHash)
+ * @param {boolean} is_new - Whether the event came from the subscription rather than a scan of past blocks
+ */
+function on_request_event(event, is_new) {
+  const id = String(event.args.requestId);
+  if (event.eventName === 'NewRequest') {
+    if (requests.size >= MAX_TRACKED_REQUESTS) {
+      requests.delete(requests.keys().next().value);
+    }
+    requests.set(id, { redundancy: Number(event.args.redundancy || 1), submitters: new Set() });
+  } else if (event.eventName === 'ResultSubmitted') {
+    const node = event.args.node.toLowerCase();
+    const request = requests.get(id);
+    if (request) request.submitters.add(node);
+    if (is_new) mark_answered(node);
+  } else if (event.eventName === 'Processed') {
+    on_processed(event, is_new);
+  }
+}
+
+module.exports = {
+  BASE_WAIT_TIME,
+  initialize_scheduler,
+  set_nodes,
+  slot_wait,
+  wait_for_turn,
+  on_request_event
+};
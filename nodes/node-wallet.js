@@ -0,0 +1,220 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// The node's signing account, in order of preference:
+//
+// 1. An external signer (REMOTE_SIGNER_URL): a JSON-RPC remote signer such as Clef or web3signer
+//    holds the key and signs transactions with eth_signTransaction; the key never reaches the node.
+// 2. An encrypted JSON keystore (KEYSTORE_FILE), unlocked with KEYSTORE_PASSWORD or KEYSTORE_PASSWORD_FILE.
+// 3. The legacy plain-text private key in account.data (convert it with `node node-wallet.js migrate`).
+//
+// Without any of them a new account is generated, encrypted when a password is configured.
+
+const ACCOUNT_FILE = path.join(__dirname, 'account.data');
+const KEYSTORE_FILE = process.env.KEYSTORE_FILE || path.join(__dirname, 'keystore.json');
+const REMOTE_SIGNER_TIMEOUT = parseInt(process.env.REMOTE_SIGNER_TIMEOUT_MS) || 60000;
+
+/**
+ * Signer delegating signatures to a JSON-RPC remote signer (eth_accounts, eth_signTransaction,
+ * eth_sign, eth_signTypedData_v4)
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor(url, address, provider) {
+    super(provider);
+    this.url = url;
+    this.address = address;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+
+  async signTransaction(tx) {
+    // sendTransaction passes a populated Transaction, whose fields are getters (resolveProperties sees none of them)
+    let transaction = tx;
+    if (!(tx instanceof ethers.Transaction)) {
+      const { from, ...fields } = await ethers.resolveProperties(tx);
+      if (fields.to) fields.to = await ethers.resolveAddress(fields.to, this.provider);
+      transaction = ethers.Transaction.from(fields);
+    }
+
+    const request = { from: this.address };
+    if (transaction.to) request.to = transaction.to;
+    if (transaction.data !== '0x') request.data = request.input = transaction.data;
+    if (transaction.type !== null) request.type = ethers.toQuantity(transaction.type);
+    for (const [key, name] of [['gasLimit', 'gas'], ['gasPrice'], ['maxFeePerGas'], ['maxPriorityFeePerGas'],
+      ['value'], ['nonce'], ['chainId']]) {
+      if (transaction[key] !== null) {
+        request[name || key] = ethers.toQuantity(transaction[key]);
+      }
+    }
+
+    // Clef returns { raw, tx }, web3signer the raw transaction
+    const signed = await remote_call(this.url, 'eth_signTransaction', [request]);
+    const raw = typeof signed === 'string' ? signed : signed?.raw;
+    if (!raw || ethers.Transaction.from(raw).from?.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error('Remote signer returned a transaction not signed by ' + this.address);
+    }
+    return raw;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    return remote_call(this.url, 'eth_sign', [this.address, ethers.hexlify(data)]);
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return remote_call(this.url, 'eth_signTypedData_v4', [this.address, JSON.stringify(payload)]);
+  }
+}
+
+let remote_call_id = 0;
+
+async function remote_call(url, method, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: ++remote_call_id, method, params }),
+    signal: AbortSignal.timeout(REMOTE_SIGNER_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`Remote signer ${method} failed: HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(`Remote signer ${method} failed: ${data.error.message || JSON.stringify(data.error)}`);
+  }
+  return data.result;
+}
+
+// Password of the keystore, or null when none is configured
+function read_password() {
+  if (process.env.KEYSTORE_PASSWORD) {
+    return process.env.KEYSTORE_PASSWORD;
+  }
+  if (process.env.KEYSTORE_PASSWORD_FILE) {
+    // A trailing newline is not part of the password
+    return fs.readFileSync(process.env.KEYSTORE_PASSWORD_FILE, 'utf8').replace(/\r?\n$/, '');
+  }
+  return null;
+}
+
+function require_password() {
+  const password = read_password();
+  if (!password) {
+    throw new Error('Set KEYSTORE_PASSWORD or KEYSTORE_PASSWORD_FILE to unlock the keystore');
+  }
+  return password;
+}
+
+// Write the keystore readable by the owner only (write + rename so a crash never leaves a partial file)
+async function write_keystore(wallet, password) {
+  const json = await wallet.encrypt(password);
+  const tmpPath = KEYSTORE_FILE + '.tmp';
+  fs.writeFileSync(tmpPath, json, { mode: 0o600 });
+  fs.renameSync(tmpPath, KEYSTORE_FILE);
+}
+
+async function load_remote_signer(url, provider) {
+  let address = process.env.REMOTE_SIGNER_ADDRESS;
+  if (!address) {
+    const accounts = await remote_call(url, 'eth_accounts', []);
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+      throw new Error('Remote signer has no accounts (set REMOTE_SIGNER_ADDRESS)');
+    }
+    address = accounts[0];
+  }
+  console.log(`Using remote signer at ${url}`);
+  return new RemoteSigner(url, ethers.getAddress(address), provider);
+}
+
+/**
+ * Load the node's signer (see the top of this file for where it comes from)
+ * @param {object} provider - The ethers provider to connect it to
+ * @returns {Promise<object>} - An ethers signer with an `address` property
+ */
+async function load_wallet(provider) {
+  if (process.env.REMOTE_SIGNER_URL) {
+    return load_remote_signer(process.env.REMOTE_SIGNER_URL, provider);
+  }
+
+  if (fs.existsSync(KEYSTORE_FILE)) {
+    console.log('Unlocking keystore...');
+    const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(KEYSTORE_FILE, 'utf8'), require_password());
+    if (fs.existsSync(ACCOUNT_FILE)) {
+      console.warn(`Warning: ${ACCOUNT_FILE} still holds a plain-text private key; delete it once the keystore is backed up`);
+    }
+    return wallet.connect(provider);
+  }
+
+  try {
+    const privateKeyHex = fs.readFileSync(ACCOUNT_FILE, 'utf8').trim();
+    console.log('Reading account from file...');
+    console.warn('Warning: the private key is stored in plain text; run `node node-wallet.js migrate` to encrypt it');
+    return new ethers.Wallet(privateKeyHex, provider);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  console.log('Generating new account...');
+  const wallet = ethers.Wallet.createRandom().connect(provider);
+  const password = read_password();
+  if (password) {
+    await write_keystore(wallet, password);
+    console.log(`Account saved to encrypted keystore ${KEYSTORE_FILE}`);
+  } else {
+    fs.writeFileSync(ACCOUNT_FILE, wallet.privateKey, { mode: 0o600 });
+    console.warn('Warning: no KEYSTORE_PASSWORD set, the private key is stored in plain text in ' + ACCOUNT_FILE);
+  }
+  return wallet;
+}
+
+/**
+ * Convert the plain-text account.data into an encrypted keystore. account.data is left in place
+ * for the operator to delete once the keystore is backed up.
+ * @returns {Promise<string>} - The account address
+ */
+async function migrate_account_data() {
+  if (fs.existsSync(KEYSTORE_FILE)) {
+    throw new Error(`${KEYSTORE_FILE} already exists`);
+  }
+  const password = require_password();
+  const wallet = new ethers.Wallet(fs.readFileSync(ACCOUNT_FILE, 'utf8').trim());
+  await write_keystore(wallet, password);
+
+  // Make sure the keystore unlocks to the same account before telling the operator to delete the key
+  const unlocked = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(KEYSTORE_FILE, 'utf8'), password);
+  if (unlocked.address !== wallet.address) {
+    fs.unlinkSync(KEYSTORE_FILE);
+    throw new Error('Keystore verification failed');
+  }
+  return wallet.address;
+}
+
+if (require.main === module) {
+  if (process.argv[2] !== 'migrate') {
+    console.log('Usage:');
+    console.log('  node', path.basename(process.argv[1]), 'migrate    (encrypt account.data into', KEYSTORE_FILE + ')');
+    process.exit(1);
+  }
+  migrate_account_data().then((address) => {
+    console.log(`Account ${address} saved to encrypted keystore ${KEYSTORE_FILE}`);
+    console.log(`Delete ${ACCOUNT_FILE} once the keystore and its password are backed up`);
+  }, (err) => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  RemoteSigner,
+  load_wallet,
+  migrate_account_data
+};
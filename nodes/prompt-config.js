@@ -0,0 +1,418 @@
+// Prompt config parsing
+//
+// Format v1 (original):
+//   First line (optional): model: platform/model
+//   Remaining lines (or all lines if no model specified): prompt
+//
+// Format v2: a header block between "---" lines, starting with "version: 2", then the prompt:
+//   ---
+//   version: 2
+//   model: anthropic/claude-sonnet-4-20250514
+//   temperature: 0
+//   max_tokens: 1024
+//   stop: ["</result>"]
+//   thinking: 2048
+//   system: |
+//     You are a helpful assistant
+//     Answer briefly
+//   ---
+//   User input: {{user_input}}
+//
+// Header values are JSON when they parse as JSON, plain text otherwise. "|" starts a
+// multi-line value made of the following indented lines.
+//
+// In v2 the prompt may also be a conversation: when its first non-blank line is a role tag,
+// every "[system]", "[user]" or "[assistant]" line starts a new message:
+//   [system]
+//   Classify the sentiment of the text
+//   [user]
+//   I love it
+//   [assistant]
+//   <result>positive</result>
+//   [user]
+//   {{text}}
+//   [assistant]
+//   <result>
+// A trailing assistant message is a prefill that the model continues (where the platform supports it).
+//
+// Parsed configs carry `messages`: the system prompt (if any) followed by the prompt as one
+// user message, or the conversation. Placeholders are rendered in every message (see prompt-template.js);
+// with "strict: true" a placeholder without a value or default fails the request.
+// Input values are hardened first (see input-guard.js): reserved tags are neutralised, and
+// "inputs", "fence_inputs" and "reserved_tags" set per-placeholder limits and delimiters.
+// "schema" (a JSON schema, see json-schema.js) or "enum" (a list of answers) sets the required
+// result format (see result-format.js), with up to "repair_attempts" re-prompts on a mismatch.
+// "normalize" makes equivalent results byte-identical across nodes (see result-normalize.js).
+// "on_truncation" handles answers cut off by the token limit: fail (default), continue or accept.
+
+const ROLE_TAG = /^\[(system|user|assistant)\]\s*$/;
+
+const { DEFAULT_RESERVED_TAGS, validate_input_rules } = require('./input-guard.js');
+const { check_schema } = require('./json-schema.js');
+const { parse_normalize } = require('./result-normalize.js');
+
+// Re-prompts for results that don't match "schema" or "enum"
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_REPAIR_ATTEMPTS = 5;
+
+const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+
+// Smallest thinking budget every platform accepts (Anthropic rejects less)
+const MIN_THINKING_BUDGET = 1024;
+
+// What to do with an answer cut off by the token limit
+const TRUNCATION_MODES = ['fail', 'continue', 'accept'];
+
+// Validators for v2 header keys (besides "version" and "model").
+// Each returns the normalized value or throws with a message for the config author.
+const SETTING_VALIDATORS = {
+  system: (v) => {
+    if (typeof v !== 'string') throw new Error('must be text');
+    return v;
+  },
+  temperature: (v) => {
+    if (typeof v !== 'number' || v < 0 || v > 2) throw new Error('must be a number between 0 and 2');
+    return v;
+  },
+  top_p: (v) => {
+    if (typeof v !== 'number' || v <= 0 || v > 1) throw new Error('must be a number in (0, 1]');
+    return v;
+  },
+  max_tokens: (v) => {
+    if (!Number.isInteger(v) || v <= 0) throw new Error('must be a positive integer');
+    return v;
+  },
+  stop: (v) => {
+    const list = Array.isArray(v) ? v : [v];
+    if (list.length === 0 || !list.every(s => typeof s === 'string' && s.length > 0)) {
+      throw new Error('must be a string or a list of strings');
+    }
+    return list;
+  },
+  seed: (v) => {
+    if (!Number.isInteger(v)) throw new Error('must be an integer');
+    return v;
+  },
+  response_format: (v) => {
+    if (v !== 'text' && v !== 'json') throw new Error('must be "text" or "json"');
+    return v;
+  },
+  thinking: (v) => {
+    if (typeof v !== 'boolean' && !(Number.isInteger(v) && v >= MIN_THINKING_BUDGET)) {
+      throw new Error(`must be true, false or a token budget of at least ${MIN_THINKING_BUDGET}`);
+    }
+    return v;
+  },
+  reasoning_effort: (v) => {
+    if (!REASONING_EFFORTS.includes(v)) throw new Error(`must be one of ${REASONING_EFFORTS.join(', ')}`);
+    return v;
+  },
+  on_truncation: (v) => {
+    if (!TRUNCATION_MODES.includes(v)) throw new Error(`must be one of ${TRUNCATION_MODES.join(', ')}`);
+    return v;
+  },
+  strict: (v) => {
+    if (typeof v !== 'boolean') throw new Error('must be true or false');
+    return v;
+  },
+  fence_inputs: (v) => {
+    if (typeof v !== 'boolean') throw new Error('must be true or false');
+    return v;
+  },
+  reserved_tags: (v) => {
+    if (!Array.isArray(v) || !v.every(tag => typeof tag === 'string' && /^[A-Za-z][\w-]*$/.test(tag))) {
+      throw new Error('must be a list of tag names');
+    }
+    return v;
+  },
+  inputs: (v) => validate_input_rules(v),
+  schema: (v) => {
+    // Usually a "|" block holding the JSON schema
+    let schema = v;
+    if (typeof v === 'string') {
+      try {
+        schema = JSON.parse(v);
+      } catch {
+        throw new Error('must be a JSON schema');
+      }
+    }
+    check_schema(schema);
+    return schema;
+  },
+  enum: (v) => {
+    if (!Array.isArray(v) || v.length === 0 || !v.every(s => typeof s === 'string' && s.trim() !== '')) {
+      throw new Error('must be a list of answers');
+    }
+    return v.map(s => s.trim());
+  },
+  normalize: (v) => parse_normalize(v),
+  repair_attempts: (v) => {
+    if (!Number.isInteger(v) || v < 0 || v > MAX_REPAIR_ATTEMPTS) throw new Error(`must be an integer between 0 and ${MAX_REPAIR_ATTEMPTS}`);
+    return v;
+  }
+};
+
+// Settings passed to the LLM adapters; the others are handled by the node
+const GENERATION_PARAMS = ['temperature', 'top_p', 'max_tokens', 'stop', 'seed', 'response_format', 'thinking', 'reasoning_effort'];
+
+// v1 configs have no settings: the prompt is one user message and only the default reserved tags are neutralised
+function v1_config(platform, model, prompt) {
+  return {
+    version: 1, platform, model, prompt, params: {}, messages: [{ role: 'user', content: prompt }], strict: false,
+    inputGuard: { fence: false, reservedTags: DEFAULT_RESERVED_TAGS, rules: {} },
+    output: null, repairAttempts: 0, normalize: [], onTruncation: 'fail'
+  };
+}
+
+// Split "platform/model" into its parts
+function parse_model_spec(modelSpec) {
+  const slashIndex = modelSpec.indexOf('/');
+
+  if (slashIndex === -1) {
+    console.error('Invalid config format: model line must be "model: platform/model"');
+    return null;
+  }
+
+  const platform = modelSpec.substring(0, slashIndex).trim();
+  const model = modelSpec.substring(slashIndex + 1).trim();
+
+  if (!platform || !model) {
+    console.error('Invalid config format: platform and model cannot be empty');
+    return null;
+  }
+
+  return { platform, model };
+}
+
+function parse_scalar(value) {
+  const trimmed = value.trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return trimmed;
+  }
+}
+
+// Parse "key: value" lines of a v2 header block
+function parse_header(lines) {
+  const header = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+    const match = line.match(/^([A-Za-z_][\w-]*):(.*)$/);
+    if (!match) {
+      throw new Error(`invalid header line "${line}"`);
+    }
+    const key = match[1];
+    const value = match[2].trim();
+
+    if (key in header) {
+      throw new Error(`duplicate header key "${key}"`);
+    }
+
+    if (value === '|') {
+      // Block value: following lines that are indented (or blank)
+      const block = [];
+      while (i + 1 < lines.length && (lines[i + 1].trim() === '' || /^\s/.test(lines[i + 1]))) {
+        block.push(lines[++i]);
+      }
+      const indent = Math.min(...block.filter(l => l.trim() !== '').map(l => l.match(/^\s*/)[0].length));
+      header[key] = block.map(l => l.slice(Number.isFinite(indent) ? indent : 0)).join('\n').trim();
+    } else {
+      header[key] = parse_scalar(value);
+    }
+  }
+
+  return header;
+}
+
+// Trim blank lines around a message block, keeping indentation and inner blank lines
+function trim_block(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && lines[start].trim() === '') start++;
+  while (end > start && lines[end - 1].trim() === '') end--;
+  return lines.slice(start, end).join('\n');
+}
+
+// Split a v2 prompt into role-tagged messages, or return null when it is a plain prompt
+function parse_messages(body) {
+  const lines = body.split('\n');
+  const first = lines.findIndex(line => line.trim() !== '');
+  if (first === -1 || !ROLE_TAG.test(lines[first])) {
+    return null;
+  }
+
+  const messages = [];
+  let current = null;
+  for (const line of lines.slice(first)) {
+    const match = line.match(ROLE_TAG);
+    if (match) {
+      current = { role: match[1], lines: [] };
+      messages.push(current);
+    } else {
+      current.lines.push(line);
+    }
+  }
+
+  return messages.map(message => ({ role: message.role, content: trim_block(message.lines) }));
+}
+
+// System messages first, then a conversation starting with a user message
+function validate_messages(messages) {
+  const turns = messages.filter(message => message.role !== 'system');
+  const firstTurn = messages.findIndex(message => message.role !== 'system');
+
+  if (turns.length === 0 || turns[0].role !== 'user') {
+    throw new Error('the conversation must start with a [user] message');
+  }
+  if (messages.slice(firstTurn).some(message => message.role === 'system')) {
+    throw new Error('[system] messages must come before the conversation');
+  }
+  if (messages.some(message => message.content === '')) {
+    throw new Error('messages cannot be empty');
+  }
+}
+
+// A v2 config starts with "---" followed by a "version:" line
+function is_v2_config(lines) {
+  return lines.length > 1 &&
+    lines[0].trim() === '---' &&
+    /^version:/.test(lines[1].trim());
+}
+
+function parse_v2_config(lines) {
+  const end = lines.findIndex((line, i) => i > 0 && line.trim() === '---');
+  if (end === -1) {
+    console.error('Invalid config format: header block is not closed with "---"');
+    return null;
+  }
+
+  let header;
+  try {
+    header = parse_header(lines.slice(1, end));
+  } catch (err) {
+    console.error(`Invalid config format: ${err.message}`);
+    return null;
+  }
+
+  if (header.version !== 2) {
+    console.error(`Invalid config format: unsupported version ${JSON.stringify(header.version)}`);
+    return null;
+  }
+
+  let platform = null;
+  let model = null;
+  if (header.model !== undefined) {
+    const spec = parse_model_spec(String(header.model));
+    if (!spec) return null;
+    ({ platform, model } = spec);
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(header)) {
+    if (key === 'version' || key === 'model') continue;
+    const validate = SETTING_VALIDATORS[key];
+    if (!validate) {
+      console.error(`Invalid config format: unknown header key "${key}"`);
+      return null;
+    }
+    try {
+      settings[key] = validate(value);
+    } catch (err) {
+      console.error(`Invalid config format: ${key} ${err.message}`);
+      return null;
+    }
+  }
+
+  const prompt = lines.slice(end + 1).join('\n');
+
+  const params = {};
+  for (const key of GENERATION_PARAMS) {
+    if (key in settings) params[key] = settings[key];
+  }
+
+  // The system prompt from the header becomes the first message
+  const messages = settings.system ? [{ role: 'system', content: settings.system }] : [];
+
+  const conversation = parse_messages(prompt);
+  if (conversation) {
+    try {
+      validate_messages([...messages, ...conversation]);
+    } catch (err) {
+      console.error(`Invalid config format: ${err.message}`);
+      return null;
+    }
+    messages.push(...conversation);
+  } else {
+    messages.push({ role: 'user', content: prompt });
+  }
+
+  const inputGuard = {
+    fence: settings.fence_inputs === true,
+    reservedTags: settings.reserved_tags || DEFAULT_RESERVED_TAGS,
+    rules: settings.inputs || {}
+  };
+
+  // Required result format, also passed to the platforms that can enforce it natively
+  let output = null;
+  if (settings.schema !== undefined && settings.enum !== undefined) {
+    console.error('Invalid config format: schema and enum cannot be used together');
+    return null;
+  }
+  if (settings.schema !== undefined) {
+    output = { type: 'json', schema: settings.schema };
+    params.response_schema = settings.schema;
+  } else if (settings.enum !== undefined) {
+    output = { type: 'enum', values: settings.enum };
+    params.response_enum = settings.enum;
+  }
+
+  return {
+    version: 2, platform, model, prompt, params, messages, strict: settings.strict === true, inputGuard,
+    output, repairAttempts: settings.repair_attempts ?? DEFAULT_REPAIR_ATTEMPTS, normalize: settings.normalize || [],
+    onTruncation: settings.on_truncation || 'fail'
+  };
+}
+
+// Parse config content (v1 or v2 format, see above)
+function parseConfig(content) {
+  if (!content || typeof content !== 'string') {
+    return null;
+  }
+
+  const lines = content.split('\n');
+  if (lines.length < 1) {
+    return null;
+  }
+
+  if (is_v2_config(lines)) {
+    return parse_v2_config(lines.map(line => line.replace(/\r$/, '')));
+  }
+
+  const firstLine = lines[0].trim();
+
+  // Check if first line starts with "model: "
+  if (firstLine.startsWith('model: ')) {
+    // Extract platform/model from first line
+    const spec = parse_model_spec(firstLine.substring(7).trim()); // Remove "model: " prefix
+    if (!spec) {
+      return null;
+    }
+
+    // Remaining lines: prompt
+    const prompt = lines.slice(1).join('\n');
+
+    return v1_config(spec.platform, spec.model, prompt);
+  } else {
+    // No model specified, entire content is the prompt
+    const prompt = content;
+    return v1_config(null, null, prompt);
+  }
+}
+
+module.exports = {
+  parseConfig
+};
@@ -0,0 +1,273 @@
+// Single-pass template renderer for prompt configs
+//
+//   {{name}}                    value of an input (whitespace inside the braces is allowed)
+//   {{user.address.city}}       dotted path into nested input JSON
+//   {{name|default:"anon"}}     default (a JSON literal) when the value is missing
+//   {{#if flag}}...{{else}}...{{/if}}
+//   {{#unless flag}}...{{/unless}}
+//   {{#each items}}{{@index}}: {{this}} {{name}}{{else}}(none){{/each}}
+//   \{{                         a literal "{{"
+//
+// Text that is not a valid tag (a lone "{{", "{{ }}", ...) is kept literally, as before.
+// Block tags (#if, #unless, #each, else and their closing tags) are only parsed when enabled (v2
+// configs): v1 prompts keep "{{#...}}" and "{{/...}}" as text, and "{{else}}" is a placeholder.
+//
+// Values are inserted as-is and never rendered again, so input containing "{{...}}" or
+// "$&" stays literal. Objects and arrays are inserted as JSON. Inside #each, paths are
+// looked up on the current item first, then on the outer scopes.
+
+const TAG_OPEN = '{{';
+const TAG_CLOSE = '}}';
+
+// Split a template into text and tag tokens
+function tokenize(template) {
+  const tokens = [];
+  let text = '';
+  let i = 0;
+
+  while (i < template.length) {
+    if (template.startsWith('\\' + TAG_OPEN, i)) {
+      text += TAG_OPEN;
+      i += 1 + TAG_OPEN.length;
+      continue;
+    }
+    if (template.startsWith(TAG_OPEN, i)) {
+      const end = template.indexOf(TAG_CLOSE, i + TAG_OPEN.length);
+      if (end === -1) {
+        text += template.slice(i);
+        break;
+      }
+      if (text) tokens.push({ type: 'text', value: text });
+      text = '';
+      tokens.push({
+        type: 'tag',
+        value: template.slice(i + TAG_OPEN.length, end).trim(),
+        raw: template.slice(i, end + TAG_CLOSE.length),
+        offset: i
+      });
+      i = end + TAG_CLOSE.length;
+      continue;
+    }
+    text += template[i++];
+  }
+  if (text) tokens.push({ type: 'text', value: text });
+
+  return tokens;
+}
+
+function parse_path(path, offset) {
+  if (!/^(@index|@first|@last|this(\.[^.\s|]+)*|[^.\s|#/@][^\s|]*)$/.test(path) || path.split('.').includes('')) {
+    throw new Error(`invalid placeholder "${path}" at offset ${offset}`);
+  }
+  return path;
+}
+
+// Parse "path" or "path|default:<JSON literal>"
+function parse_variable(tag, raw, offset) {
+  const pipe = tag.indexOf('|');
+  if (pipe === -1) {
+    return { type: 'var', path: parse_path(tag, offset), raw };
+  }
+
+  const path = parse_path(tag.slice(0, pipe).trim(), offset);
+  const filter = tag.slice(pipe + 1).trim();
+  const match = filter.match(/^default\s*:\s*([\s\S]+)$/);
+  if (!match) {
+    throw new Error(`unknown filter "${filter}" at offset ${offset}`);
+  }
+  let defaultValue;
+  try {
+    defaultValue = JSON.parse(match[1]);
+  } catch {
+    throw new Error(`default value must be a JSON literal (e.g. "text") at offset ${offset}`);
+  }
+  return { type: 'var', path, raw, default: defaultValue, hasDefault: true };
+}
+
+// Build the node tree from the tokens
+function parse(tokens, warnings, blocks) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.alternate : current.children;
+
+    if (token.type === 'text') {
+      target.push(token);
+      continue;
+    }
+
+    const tag = token.value;
+    if (!blocks && /^[#/]/.test(tag)) {
+      target.push({ type: 'text', value: token.raw });
+      continue;
+    }
+    const block = blocks && tag.match(/^#(if|unless|each)\s+(.+)$/);
+    if (block) {
+      const node = { type: block[1], path: parse_path(block[2].trim(), token.offset), children: [], alternate: [], inElse: false };
+      target.push(node);
+      stack.push(node);
+    } else if (blocks && tag === 'else') {
+      if (stack.length === 1 || current.inElse) {
+        throw new Error(`unexpected {{else}} at offset ${token.offset}`);
+      }
+      current.inElse = true;
+    } else if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      if (stack.length === 1 || current.type !== name) {
+        throw new Error(`unexpected {{/${name}}} at offset ${token.offset}`);
+      }
+      stack.pop();
+    } else {
+      try {
+        target.push(parse_variable(tag, token.raw, token.offset));
+      } catch (err) {
+        warnings.push(`${err.message}, kept as text`);
+        target.push({ type: 'text', value: token.raw });
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`{{#${stack[stack.length - 1].type}}} is not closed`);
+  }
+  return root.children;
+}
+
+/**
+ * Parse a template, throwing on block structure errors
+ * @param {string} template - The template text
+ * @param {Array<string>} [warnings] - Receives messages about tags kept as text
+ * @param {boolean} [blocks] - Parse block tags (false keeps them as text, for v1 configs)
+ * @returns {Array<object>} - The parsed nodes
+ */
+function compile_template(template, warnings = [], blocks = true) {
+  return parse(tokenize(template || ''), warnings, blocks);
+}
+
+function has_own(obj, key) {
+  return obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// Look up a dotted path, innermost scope first.
+// A key that itself contains dots (e.g. "a.b") matches before the nested path does.
+function lookup(path, scopes) {
+  const parts = path.split('.');
+
+  for (let s = scopes.length - 1; s >= 0; s--) {
+    const scope = scopes[s];
+    let value;
+
+    if (parts.length > 1 && has_own(scope.data, path)) {
+      return scope.data[path];
+    }
+
+    if (parts[0] === 'this' || parts[0].startsWith('@')) {
+      if (!(parts[0] in scope.meta)) continue;
+      value = scope.meta[parts[0]];
+    } else {
+      if (!has_own(scope.data, parts[0])) continue;
+      value = scope.data[parts[0]];
+    }
+
+    for (const part of parts.slice(1)) {
+      if (!has_own(value, part)) {
+        return undefined;
+      }
+      value = value[part];
+    }
+    return value;
+  }
+
+  return undefined;
+}
+
+function is_truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+function stringify(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function render_nodes(nodes, scopes, state) {
+  let out = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.value;
+        break;
+      case 'var': {
+        let value = lookup(node.path, scopes);
+        let fromInput = true;
+        if (value === undefined || value === null) {
+          if (node.hasDefault) {
+            // Defaults come from the config author and are not transformed
+            value = node.default;
+            fromInput = false;
+          } else {
+            state.missing.push(node.path);
+            if (state.strict) {
+              throw new Error(`no value for required placeholder {{${node.path}}}`);
+            }
+            // Leave unknown placeholders in place, as the original renderer did
+            out += node.raw;
+            break;
+          }
+        }
+        out += (state.transform && fromInput) ? state.transform(node.path, stringify(value)) : stringify(value);
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = is_truthy(lookup(node.path, scopes));
+        const branch = (node.type === 'if') === truthy ? node.children : node.alternate;
+        out += render_nodes(branch, scopes, state);
+        break;
+      }
+      case 'each': {
+        const items = lookup(node.path, scopes);
+        if (!Array.isArray(items) || items.length === 0) {
+          if (items !== undefined && items !== null && !Array.isArray(items)) {
+            state.warnings.push(`{{#each ${node.path}}} is not a list`);
+          }
+          out += render_nodes(node.alternate, scopes, state);
+          break;
+        }
+        items.forEach((item, index) => {
+          const meta = { this: item, '@index': index, '@first': index === 0, '@last': index === items.length - 1 };
+          out += render_nodes(node.children, [...scopes, { data: item, meta }], state);
+        });
+        break;
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Render a template with input values in a single pass
+ * @param {string} template - The template text
+ * @param {object} values - The input values (may be nested)
+ * @param {object} [options] - `strict`: throw when a placeholder without default has no value,
+ *                             `transform(path, text)`: applied to every inserted input value,
+ *                             `blocks`: false to keep block tags as text (v1 configs)
+ * @returns {{text: string, missing: Array<string>, warnings: Array<string>}} - The rendered text and the placeholders that had no value
+ */
+function render_template(template, values, options = {}) {
+  const state = { strict: options.strict === true, transform: options.transform, missing: [], warnings: [] };
+  const nodes = compile_template(template, state.warnings, options.blocks !== false);
+  const text = render_nodes(nodes, [{ data: values || {}, meta: {} }], state);
+  return { text, missing: state.missing, warnings: state.warnings };
+}
+
+module.exports = {
+  compile_template,
+  render_template
+};
@@ -0,0 +1,523 @@
+const fs = require('fs');
+const path = require('path');
+const { post_with_retry } = require('./llm-http.js');
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+
+// Operator-defined platforms (see load_providers_config)
+const PROVIDERS_FILE = process.env.LLM_PROVIDERS_FILE || path.join(CONFIG_PATH, 'providers.json');
+
+const AUTH_SCHEMES = ['bearer', 'x-api-key', 'query', 'none'];
+
+const providers = new Map();
+
+/**
+ * Register an LLM provider adapter
+ *
+ * An adapter declares:
+ * - name: platform name used in requests and prompt configs (case-insensitive)
+ * - auth: one of AUTH_SCHEMES
+ * - apiKeyEnv: environment variable holding the API key (unless auth is 'none')
+ * - endpoint(model, apiKey): the URL to POST to
+ * - headers: extra HTTP headers (optional)
+ * - buildRequest(model, messages, params): the JSON request body for a list of { role, content }
+ *   messages (system, user, assistant), `params` holding the generation settings of the prompt config
+ *   (temperature, top_p, max_tokens, stop, seed, response_format, thinking, reasoning_effort) and the required result format
+ *   (response_schema, response_enum) for platforms that can enforce it
+ * - parseResponse(data, params): the completion text from the JSON response body, without reasoning output
+ *   (untrimmed: the final answer is trimmed once continuations are joined)
+ * - stopReason(data): why generation stopped, one of STOP_REASONS (optional)
+ * - usage(data): the tokens billed for the call, { inputTokens, outputTokens } (optional)
+ * - fallback(error, body, model): a new body to retry with after an error, or null (optional)
+ * - models: map from the model name in requests/configs to the name the backend knows (optional)
+ * - supportsPrefill: whether a trailing assistant message is continued by the model (optional),
+ *   or a function of `params` deciding it per request. The prefill is then prepended to the returned text.
+ * - maxOutputTokens(params): the output tokens a call may be billed for, when the platform adds to
+ *   `max_tokens` (optional)
+ *
+ * @param {object} adapter - The adapter
+ */
+function register_provider(adapter) {
+  if (!adapter || !adapter.name) {
+    throw new Error('Provider adapter must have a name');
+  }
+  if (!AUTH_SCHEMES.includes(adapter.auth)) {
+    throw new Error(`Provider ${adapter.name}: unknown auth scheme "${adapter.auth}"`);
+  }
+  if (adapter.auth !== 'none' && !adapter.apiKeyEnv) {
+    throw new Error(`Provider ${adapter.name}: apiKeyEnv is required for auth "${adapter.auth}"`);
+  }
+  for (const fn of ['endpoint', 'buildRequest', 'parseResponse']) {
+    if (typeof adapter[fn] !== 'function') {
+      throw new Error(`Provider ${adapter.name}: ${fn} must be a function`);
+    }
+  }
+  // Optional members are checked now rather than failing on the first request that uses them
+  for (const fn of ['stopReason', 'usage', 'fallback', 'maxOutputTokens']) {
+    if (adapter[fn] !== undefined && typeof adapter[fn] !== 'function') {
+      throw new Error(`Provider ${adapter.name}: ${fn} must be a function`);
+    }
+  }
+  for (const map of ['headers', 'models']) {
+    if (adapter[map] !== undefined && (adapter[map] === null || typeof adapter[map] !== 'object' || Array.isArray(adapter[map]))) {
+      throw new Error(`Provider ${adapter.name}: ${map} must be an object`);
+    }
+  }
+  if (adapter.supportsPrefill !== undefined && !['boolean', 'function'].includes(typeof adapter.supportsPrefill)) {
+    throw new Error(`Provider ${adapter.name}: supportsPrefill must be a boolean or a function`);
+  }
+  providers.set(adapter.name.toLowerCase(), adapter);
+}
+
+function get_provider(name) {
+  return providers.get(String(name).toLowerCase()) || null;
+}
+
+function get_provider_names() {
+  return Array.from(providers.keys());
+}
+
+// Why generation stopped, as reported by adapters
+const STOP_REASONS = {
+  STOP: 'stop',                     // natural end or a stop sequence
+  LENGTH: 'length',                 // token limit reached: the answer is cut off
+  TOOL_CALL: 'tool_call',
+  CONTENT_FILTER: 'content_filter'
+};
+
+/**
+ * Map a platform's finish reason to STOP_REASONS
+ * @param {string} reason - The reason reported by the platform
+ * @param {object} mapping - Platform reasons by stop reason, e.g. { length: ['max_tokens'] }
+ * @returns {string|null} - The stop reason, the platform's own value when unknown, or null when not reported
+ */
+function map_stop_reason(reason, mapping) {
+  if (reason === undefined || reason === null) return null;
+  for (const [stopReason, values] of Object.entries(mapping)) {
+    if (values.includes(reason)) return stopReason;
+  }
+  return String(reason);
+}
+
+// Sampling seed for self-hosted backends, so nodes running the same weights produce the same output
+const DEFAULT_SEED = 42;
+
+function trim_base_url(baseUrl) {
+  return String(baseUrl || '').replace(/\/+$/, '');
+}
+
+// Drop undefined fields so providers only receive the parameters that were set
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+// Separate the system messages (joined into one system prompt) from the conversation
+function split_system(messages) {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content);
+  return {
+    system: system.length > 0 ? system.join('\n\n') : undefined,
+    conversation: messages.filter(message => message.role !== 'system')
+  };
+}
+
+// Flatten messages into a single text prompt for completion-style APIs.
+// A single user message (optionally after a system prompt) is kept as plain text.
+function flatten_messages(messages) {
+  const { system, conversation } = split_system(messages);
+  let text;
+  if (conversation.length === 1) {
+    text = conversation[0].content;
+  } else {
+    text = conversation.map((message, i) => {
+      const label = message.role === 'user' ? 'User' : 'Assistant';
+      const isPrefill = i === conversation.length - 1 && message.role === 'assistant';
+      return isPrefill ? `${label}: ${message.content}` : `${label}: ${message.content}\n\n`;
+    }).join('');
+    if (conversation[conversation.length - 1].role === 'user') {
+      text += 'Assistant: ';
+    }
+  }
+  return system ? `${system}\n\n${text}` : text;
+}
+
+// Native structured output ("json_schema" response format) for a result schema with an object at the root
+function openai_response_format(params, supportsJsonSchema) {
+  if (supportsJsonSchema && params.response_schema && params.response_schema.type === 'object') {
+    return { type: 'json_schema', json_schema: { name: 'result', schema: params.response_schema } };
+  }
+  return params.response_format === 'json' ? { type: 'json_object' } : undefined;
+}
+
+// Reasoning traces some models (DeepSeek-R1, QwQ, ...) put in their answer. A model whose chat
+// template opens the block itself only emits the closing tag.
+const REASONING_BLOCK = /<(think|thinking)>[\s\S]*?<\/\1>\s*/gi;
+const REASONING_END = /^[\s\S]*?<\/(think|thinking)>\s*/i;
+
+/**
+ * Remove reasoning traces from a model's answer
+ * @param {string} text - The answer
+ * @returns {string} - The answer without <think> blocks
+ */
+function strip_reasoning(text) {
+  const stripped = text.replace(REASONING_BLOCK, '');
+  return /<\/(think|thinking)>/i.test(stripped) ? stripped.replace(REASONING_END, '') : stripped;
+}
+
+// Generation parameters in OpenAI chat-completions naming
+function openai_generation_params(params, maxTokensParam = 'max_tokens', supportsJsonSchema = false) {
+  return compact({
+    temperature: params.temperature,
+    top_p: params.top_p,
+    [maxTokensParam]: params.max_tokens,
+    stop: params.stop,
+    seed: params.seed,
+    reasoning_effort: params.reasoning_effort,
+    response_format: openai_response_format(params, supportsJsonSchema)
+  });
+}
+
+/**
+ * Build an adapter for an OpenAI-compatible chat-completions API (also vLLM and TGI)
+ * @param {object} options - name, baseUrl, apiKeyEnv, auth (default 'bearer'), path (default '/chat/completions'), defaultParams, headers, models,
+ *                           maxTokensParam (default 'max_tokens'), supportsJsonSchema (accepts a "json_schema" response format)
+ * @returns {object} - The adapter
+ */
+function openai_compatible(options) {
+  const baseUrl = trim_base_url(options.baseUrl);
+  const urlPath = options.path || '/chat/completions';
+  const defaultParams = options.defaultParams || {};
+  const maxTokensParam = options.maxTokensParam || 'max_tokens';
+
+  return {
+    name: options.name,
+    auth: options.auth || 'bearer',
+    apiKeyEnv: options.apiKeyEnv,
+    headers: options.headers,
+    models: options.models,
+    endpoint: () => baseUrl + urlPath,
+    buildRequest: (model, messages, params) => {
+      // Reasoning models reject a temperature; only send one the config asked for
+      const { temperature, ...reasoningDefaults } = defaultParams;
+      return {
+        model: model,
+        messages: messages,
+        ...(params.reasoning_effort ? reasoningDefaults : defaultParams),
+        ...openai_generation_params(params, maxTokensParam, options.supportsJsonSchema === true)
+      };
+    },
+    // Reasoning models return no content when the token limit is used up by reasoning
+    parseResponse: (data) => data.choices[0].message.content ?? '',
+    stopReason: (data) => map_stop_reason(data.choices[0].finish_reason, {
+      stop: ['stop'], length: ['length'], tool_call: ['tool_calls', 'function_call'], content_filter: ['content_filter']
+    }),
+    // Reasoning tokens are included in completion_tokens
+    usage: (data) => ({ inputTokens: data.usage?.prompt_tokens, outputTokens: data.usage?.completion_tokens }),
+    fallback: options.fallback
+  };
+}
+
+/**
+ * Build an adapter for Ollama's native chat API (POST /api/chat)
+ * @param {object} options - name, baseUrl, models, seed, options (extra Ollama model options)
+ * @returns {object} - The adapter
+ */
+function ollama_native(options) {
+  const baseUrl = trim_base_url(options.baseUrl);
+  const seed = options.seed ?? DEFAULT_SEED;
+
+  return {
+    name: options.name,
+    auth: options.apiKeyEnv ? (options.auth || 'bearer') : 'none',
+    apiKeyEnv: options.apiKeyEnv,
+    headers: options.headers,
+    models: options.models,
+    endpoint: () => baseUrl + '/api/chat',
+    supportsPrefill: true,
+    buildRequest: (model, messages, params) => compact({
+      model: model,
+      messages: messages,
+      stream: false,
+      // Ollama takes a JSON schema as the format
+      format: params.response_schema || (params.response_format === 'json' ? 'json' : undefined),
+      // Thinking models return their reasoning separately from the content
+      think: params.thinking === undefined ? undefined : params.thinking !== false,
+      options: compact({
+        temperature: params.temperature ?? 0,
+        top_p: params.top_p,
+        seed: params.seed ?? seed,
+        num_predict: params.max_tokens ?? 4096,
+        stop: params.stop,
+        ...options.options
+      })
+    }),
+    parseResponse: (data) => data.message.content,
+    stopReason: (data) => map_stop_reason(data.done_reason, { stop: ['stop'], length: ['length'] }),
+    usage: (data) => ({ inputTokens: data.prompt_eval_count, outputTokens: data.eval_count })
+  };
+}
+
+/**
+ * Build an adapter for the llama.cpp server completion API (POST /completion)
+ * The server hosts a single model and takes a raw prompt, so messages are flattened into plain text.
+ * @param {object} options - name, baseUrl, seed, options (extra sampling parameters)
+ * @returns {object} - The adapter
+ */
+function llamacpp_server(options) {
+  const baseUrl = trim_base_url(options.baseUrl);
+  const seed = options.seed ?? DEFAULT_SEED;
+
+  return {
+    name: options.name,
+    auth: options.apiKeyEnv ? (options.auth || 'bearer') : 'none',
+    apiKeyEnv: options.apiKeyEnv,
+    headers: options.headers,
+    models: options.models,
+    endpoint: () => baseUrl + '/completion',
+    supportsPrefill: true,
+    buildRequest: (model, messages, params) => compact({
+      prompt: flatten_messages(messages),
+      n_predict: params.max_tokens ?? 4096,
+      temperature: params.temperature ?? 0,
+      top_p: params.top_p,
+      stop: params.stop,
+      seed: params.seed ?? seed,
+      json_schema: params.response_schema || (params.response_format === 'json' ? { type: 'object' } : undefined),
+      stream: false,
+      ...options.options
+    }),
+    parseResponse: (data) => data.content,
+    stopReason: (data) => {
+      if (data.stop_type) return map_stop_reason(data.stop_type, { stop: ['eos', 'word'], length: ['limit'] });
+      if (data.stopped_limit) return STOP_REASONS.LENGTH;
+      return (data.stopped_eos || data.stopped_word) ? STOP_REASONS.STOP : null;
+    },
+    usage: (data) => ({
+      inputTokens: data.tokens_evaluated ?? data.timings?.prompt_n,
+      outputTokens: data.tokens_predicted ?? data.timings?.predicted_n
+    })
+  };
+}
+
+/**
+ * Build an adapter for a self-hosted OpenAI-compatible server (vLLM, TGI) with deterministic sampling
+ * @param {object} options - name, baseUrl, apiKeyEnv (optional), models, seed, defaultParams
+ * @returns {object} - The adapter
+ */
+function self_hosted_openai(options) {
+  return openai_compatible({
+    ...options,
+    auth: options.apiKeyEnv ? (options.auth || 'bearer') : 'none',
+    defaultParams: {
+      temperature: 0,
+      seed: options.seed ?? DEFAULT_SEED,
+      max_tokens: 4096,
+      ...options.defaultParams
+    }
+  });
+}
+
+// Adapter factories selectable with "type" in the providers config
+const PROVIDER_TYPES = {
+  'openai': openai_compatible,
+  'self-hosted-openai': self_hosted_openai,
+  'ollama': ollama_native,
+  'llamacpp': llamacpp_server
+};
+
+// Parse a JSON model name mapping from an environment variable
+function models_from_env(name) {
+  const value = process.env[name];
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new Error(`${name} must be a JSON object mapping model names: ${err.message}`);
+  }
+}
+
+/**
+ * Load operator-defined platforms from a JSON file:
+ *
+ *   {
+ *     "together": {
+ *       "baseUrl": "https://api.together.xyz/v1",
+ *       "apiKeyEnv": "TOGETHER_API_KEY",
+ *       "defaultParams": { "temperature": 0, "max_tokens": 4096 }
+ *     },
+ *     "gpu-box": {
+ *       "type": "ollama",
+ *       "baseUrl": "http://10.0.0.5:11434",
+ *       "models": { "llama3.1-8b": "llama3.1:8b-instruct-q8_0" }
+ *     }
+ *   }
+ *
+ * `type` is one of PROVIDER_TYPES (default "openai").
+ * Entries override built-in platforms with the same name.
+ * @param {string} [file] - Path of the config file
+ */
+function load_providers_config(file = PROVIDERS_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw new Error(`Failed to read providers config ${file}: ${err.message}`);
+  }
+
+  for (const [name, entry] of Object.entries(config)) {
+    if (!entry.baseUrl) {
+      throw new Error(`Providers config ${file}: "${name}" has no baseUrl`);
+    }
+    const type = entry.type || 'openai';
+    const factory = PROVIDER_TYPES[type];
+    if (!factory) {
+      throw new Error(`Providers config ${file}: "${name}" has unknown type "${type}"`);
+    }
+    register_provider(factory({ name, ...entry }));
+    console.log(`Registered ${type} platform ${name} from providers config (${entry.baseUrl})`);
+  }
+}
+
+const EMPTY_USAGE = Object.freeze({ calls: 0, inputTokens: 0, outputTokens: 0 });
+
+/**
+ * The output tokens a call may be billed for: `max_tokens` (4096 when the config leaves it out), or
+ * more on platforms that add to it (e.g. Anthropic's thinking budget)
+ * @param {string} platform - The platform name
+ * @param {object} params - The generation settings of the prompt config
+ * @returns {number} - The output token limit
+ */
+function max_output_tokens(platform, params) {
+  const adapter = get_provider(platform);
+  return adapter && adapter.maxOutputTokens ? adapter.maxOutputTokens(params) : (params.max_tokens ?? 4096);
+}
+
+function supports_prefill(adapter, params) {
+  return typeof adapter.supportsPrefill === 'function'
+    ? adapter.supportsPrefill(params)
+    : Boolean(adapter.supportsPrefill);
+}
+
+// POST one request and parse the answer
+async function send_request(adapter, model, messages, params, context, url, headers) {
+  const body = adapter.buildRequest(model, messages, params);
+  let response;
+  try {
+    response = await post_with_retry(adapter.name, url, body, { headers }, context);
+  } catch (error) {
+    const retryBody = adapter.fallback ? adapter.fallback(error, body, model) : null;
+    if (!retryBody) {
+      throw error;
+    }
+    response = await post_with_retry(adapter.name, url, retryBody, { headers }, context);
+  }
+
+  let text = strip_reasoning(adapter.parseResponse(response.data, params));
+  const stopReason = adapter.stopReason ? adapter.stopReason(response.data) : null;
+  const usage = read_usage(adapter, response.data);
+
+  // The model continued the assistant prefill: return the whole assistant turn
+  const last = messages[messages.length - 1];
+  if (last.role === 'assistant' && supports_prefill(adapter, params)) {
+    text = last.content + text;
+  }
+
+  return { text, stopReason, usage };
+}
+
+// Token counts of a response, 0 when the platform doesn't report them
+function read_usage(adapter, data) {
+  const usage = adapter.usage ? adapter.usage(data) : null;
+  return {
+    inputTokens: Number(usage?.inputTokens) || 0,
+    outputTokens: Number(usage?.outputTokens) || 0
+  };
+}
+
+function add_usage(total, usage) {
+  return {
+    calls: total.calls + (usage.calls ?? 1),
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens
+  };
+}
+
+/**
+ * Send a prompt to a provider through its adapter
+ * @param {object} adapter - The adapter
+ * @param {string} model - The model name
+ * @param {string|Array<object>} messages - The chat messages ({ role, content }), or a single user prompt
+ * @param {object} params - Generation settings from the prompt config
+ * @param {object} context - Request context passed to post_with_retry; `maxContinuations`: how many times
+ *                           an answer cut off by the token limit is continued (on platforms supporting prefill)
+ * @returns {Promise<{text: string, stopReason: string|null, usage: object}>} - The model's response, why it stopped
+ *          (see STOP_REASONS) and the tokens used by all its calls ({ calls, inputTokens, outputTokens })
+ */
+async function call_provider(adapter, model, messages, params, context) {
+  if (typeof messages === 'string') {
+    messages = [{ role: 'user', content: messages }];
+  }
+  params = params || {};
+  let apiKey = null;
+  if (adapter.auth !== 'none') {
+    apiKey = process.env[adapter.apiKeyEnv];
+    if (!apiKey) {
+      throw new Error(`${adapter.apiKeyEnv} environment variable is not set`);
+    }
+  }
+
+  let url = adapter.endpoint(model, apiKey);
+  const headers = { 'Content-Type': 'application/json', ...adapter.headers };
+  switch (adapter.auth) {
+    case 'bearer':
+      headers['Authorization'] = `Bearer ${apiKey}`;
+      break;
+    case 'x-api-key':
+      headers['x-api-key'] = apiKey;
+      break;
+    case 'query':
+      url += (url.includes('?') ? '&' : '?') + `key=${encodeURIComponent(apiKey)}`;
+      break;
+  }
+
+  // Translate the on-chain model name to the backend's own name
+  if (adapter.models && adapter.models[model]) {
+    model = adapter.models[model];
+  }
+
+  let result = await send_request(adapter, model, messages, params, context, url, headers);
+  let usage = add_usage(EMPTY_USAGE, result.usage);
+
+  // Continue an answer cut off by the token limit by sending it back as a prefill
+  const maxContinuations = context?.maxContinuations || 0;
+  for (let i = 0; i < maxContinuations && result.stopReason === STOP_REASONS.LENGTH && supports_prefill(adapter, params); i++) {
+    console.log(`[${adapter.name}] answer reached the token limit, continuing (${i + 1}/${maxContinuations})`);
+    const history = messages[messages.length - 1].role === 'assistant' ? messages.slice(0, -1) : messages;
+    messages = [...history, { role: 'assistant', content: result.text }];
+    result = await send_request(adapter, model, messages, params, context, url, headers);
+    usage = add_usage(usage, result.usage);
+  }
+
+  return { text: result.text.trim(), stopReason: result.stopReason, usage };
+}
+
+module.exports = {
+  register_provider,
+  get_provider,
+  get_provider_names,
+  openai_compatible,
+  ollama_native,
+  llamacpp_server,
+  self_hosted_openai,
+  models_from_env,
+  compact,
+  split_system,
+  flatten_messages,
+  STOP_REASONS,
+  map_stop_reason,
+  EMPTY_USAGE,
+  add_usage,
+  max_output_tokens,
+  load_providers_config,
+  call_provider
+};
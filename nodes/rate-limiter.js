@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-platform and per-model limits on LLM calls
+//
+// Every call waits for a slot in two buckets, its platform ("openai") and its model
+// ("openai/gpt-4o"), each limiting concurrent calls, calls per minute and estimated tokens
+// per minute. Waiting calls are served by priority (the time the request's round-robin turn
+// starts, soonest first), and a call blocked on a busy bucket doesn't hold up calls to others.
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+const LIMITS_FILE = process.env.LLM_LIMITS_FILE || path.join(CONFIG_PATH, 'limits.json');
+
+// Platforms without configured limits
+const DEFAULT_LIMITS = {
+  concurrency: parseInt(process.env.LLM_MAX_CONCURRENCY) || 4
+};
+
+const WINDOW = 60 * 1000;
+const LIMIT_KEYS = ['concurrency', 'rpm', 'tpm'];
+
+let limits = null;            // bucket key -> { concurrency, rpm, tpm }
+const buckets = new Map();    // bucket key -> { active, starts: [time], tokens: [{ time, tokens }] }
+const waiting = [];           // [{ keys, priority, seq, tokens, resolve }]
+let seq = 0;
+let timer = null;
+
+/**
+ * Load the limits file:
+ *
+ *   {
+ *     "default": { "concurrency": 4 },
+ *     "openai": { "concurrency": 8, "rpm": 500, "tpm": 200000 },
+ *     "openai/gpt-4o": { "concurrency": 2, "tpm": 30000 }
+ *   }
+ *
+ * Keys are a platform, "platform/model" or "default" (platforms without an entry).
+ * Models without an entry are only limited by their platform.
+ * @param {string} [file] - Path of the limits file
+ */
+function load_limits(file = LIMITS_FILE) {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read limits config ${file}: ${err.message}`);
+    }
+  }
+
+  limits = new Map();
+  for (const [key, entry] of Object.entries(config)) {
+    for (const [name, value] of Object.entries(entry)) {
+      if (!LIMIT_KEYS.includes(name) || !Number.isInteger(value) || value <= 0) {
+        throw new Error(`Limits config ${file}: "${key}" has an invalid ${name}`);
+      }
+    }
+    limits.set(key.toLowerCase(), entry);
+  }
+  if (!limits.has('default')) {
+    limits.set('default', DEFAULT_LIMITS);
+  }
+}
+
+function get_limits(key, isModel) {
+  if (!limits) load_limits();
+  return limits.get(key) || (isModel ? {} : limits.get('default'));
+}
+
+function get_bucket(key) {
+  if (!buckets.has(key)) {
+    buckets.set(key, { active: 0, starts: [], tokens: [] });
+  }
+  return buckets.get(key);
+}
+
+// How long until the bucket can take a call of `tokens` (0: now, Infinity: when a call finishes)
+function bucket_wait(key, isModel, tokens, now) {
+  const limit = get_limits(key, isModel);
+  const bucket = get_bucket(key);
+  bucket.starts = bucket.starts.filter(time => time > now - WINDOW);
+  bucket.tokens = bucket.tokens.filter(entry => entry.time > now - WINDOW);
+
+  if (limit.concurrency && bucket.active >= limit.concurrency) {
+    return Infinity;
+  }
+  let wait = 0;
+  if (limit.rpm && bucket.starts.length >= limit.rpm) {
+    wait = Math.max(wait, bucket.starts[bucket.starts.length - limit.rpm] + WINDOW - now);
+  }
+  if (limit.tpm && bucket.tokens.length > 0) {
+    // A call larger than the whole budget still runs, alone in its window
+    let used = bucket.tokens.reduce((sum, entry) => sum + entry.tokens, 0);
+    for (const entry of bucket.tokens) {
+      if (used + tokens <= limit.tpm) break;
+      used -= entry.tokens;
+      wait = Math.max(wait, entry.time + WINDOW - now);
+    }
+  }
+  return wait;
+}
+
+// Start every waiting call that fits, by priority, and wake up when a rate window frees up
+function schedule() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  const now = Date.now();
+  let nextCheck = Infinity;
+
+  // Buckets a call with higher priority is waiting for: later calls don't overtake it there
+  const blocked = new Set();
+
+  waiting.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+  for (let i = 0; i < waiting.length; i++) {
+    const call = waiting[i];
+    if (call.keys.some(({ key }) => blocked.has(key))) {
+      continue;
+    }
+    let wait = 0;
+    for (const { key, isModel } of call.keys) {
+      const keyWait = bucket_wait(key, isModel, call.tokens, now);
+      if (keyWait > 0) {
+        blocked.add(key);
+        wait = Math.max(wait, keyWait);
+      }
+    }
+    if (wait > 0) {
+      nextCheck = Math.min(nextCheck, wait);
+      continue;
+    }
+    waiting.splice(i--, 1);
+    for (const { key } of call.keys) {
+      const bucket = get_bucket(key);
+      bucket.active++;
+      bucket.starts.push(now);
+      bucket.tokens.push({ time: now, tokens: call.tokens });
+    }
+    call.resolve();
+  }
+
+  if (Number.isFinite(nextCheck)) {
+    timer = setTimeout(schedule, nextCheck);
+  }
+}
+
+/**
+ * Wait for a slot to call a model
+ * @param {string} platform - The platform
+ * @param {string} model - The model
+ * @param {object} [options] - `priority`: lower is served first (e.g. when the request's turn starts),
+ *                             `tokens`: estimated tokens of the call, `label`: for logging
+ * @returns {Promise<function>} - Call it to release the slot when the call is done
+ */
+async function acquire_slot(platform, model, options = {}) {
+  const platformKey = String(platform).toLowerCase();
+  const keys = [
+    { key: platformKey, isModel: false },
+    { key: `${platformKey}/${String(model).toLowerCase()}`, isModel: true }
+  ];
+
+  const queued = new Promise(resolve => {
+    waiting.push({ keys, priority: options.priority ?? Date.now(), seq: seq++, tokens: options.tokens || 0, resolve });
+  });
+  schedule();
+  if (waiting.some(call => call.keys === keys)) {
+    console.log(`${options.label || platform} waiting for a ${platform}/${model} slot (${waiting.length} calls queued)`);
+  }
+  await queued;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    for (const { key } of keys) {
+      get_bucket(key).active--;
+    }
+    schedule();
+  };
+}
+
+/**
+ * Rough token estimate of a prompt: its characters / 4
+ * @param {Array<object>} messages - The chat messages
+ * @returns {number} - The estimated tokens
+ */
+function estimate_prompt_tokens(messages) {
+  const chars = messages.reduce((sum, message) => sum + message.content.length, 0);
+  return Math.ceil(chars / 4);
+}
+
+/**
+ * Rough token estimate of a call: the prompt plus the output limit
+ * @param {Array<object>} messages - The chat messages
+ * @param {number} maxTokens - The output token limit
+ * @returns {number} - The estimated tokens
+ */
+function estimate_tokens(messages, maxTokens) {
+  return estimate_prompt_tokens(messages) + maxTokens;
+}
+
+module.exports = {
+  load_limits,
+  acquire_slot,
+  estimate_prompt_tokens,
+  estimate_tokens
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { read_json, write_json_atomic } = require('./json-file.js');
+
+// Monitor of requests that don't complete
+//
+// Every NewRequest is followed until its Processed event. A request is reported when it is still open
+// after REQUEST_STUCK_AFTER_MS, or as soon as every authorized node has submitted without agreeing
+// ("no consensus": the caller never gets its callback). Reports list the distinct results submitted,
+// read from the contract's `submissions` and `results` mappings.
+//
+// Alerts are logged, appended to <contract>.alerts.jsonl (in CONFIG_PATH) and, when ALERT_WEBHOOK_URL
+// is set, POSTed there as JSON.
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+
+const STUCK_AFTER = parseInt(process.env.REQUEST_STUCK_AFTER_MS) || 15 * 60 * 1000;
+const CHECK_INTERVAL = parseInt(process.env.REQUEST_MONITOR_INTERVAL_MS) || 60000;
+const WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+const WEBHOOK_TIMEOUT = 10000;
+
+// Reported requests are forgotten after a week (a request without consensus stays open forever)
+const RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// Results are cut in reports
+const MAX_RESULT_LENGTH = 500;
+
+let contract = null;
+let contract_address = null;
+let requests_file_path = null;
+let alerts_file_path = null;
+let requests = {};              // request id -> { blockNumber, seenAt, submissions, alerted }
+let dirty = false;              // requests changed since they were written
+let check_timer = null;
+let is_active = false;
+
+function read_requests() {
+  return read_json(requests_file_path, 'monitored requests file');
+}
+
+function write_requests() {
+  write_json_atomic(requests_file_path, requests, 'monitored requests file');
+}
+
+// Events only mark the requests changed: a first start replays the contract's whole history, which
+// would otherwise rewrite the file once per event. They are written at every check and on shutdown.
+function save_requests() {
+  if (!dirty) return;
+  dirty = false;
+  write_requests();
+}
+
+async function post_webhook(alert) {
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(alert),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    if (!response.ok) {
+      console.error(`Alert webhook failed: HTTP ${response.status}`);
+    }
+  } catch (err) {
+    console.error('Alert webhook failed:', err.message);
+  }
+}
+
+function send_alert(type, request_id, details) {
+  const alert = { type, contract: contract_address, requestId: request_id, time: Date.now(), ...details };
+  console.warn(`[ALERT] ${type}: request ${request_id}`, JSON.stringify(details));
+  try {
+    fs.appendFileSync(alerts_file_path, JSON.stringify(alert) + '\n');
+  } catch (err) {
+    console.error('Error writing alert:', err.message);
+  }
+  if (WEBHOOK_URL) {
+    post_webhook(alert);
+  }
+}
+
+/**
+ * The submissions of a request, grouped by result hash
+ * @param {string} request_id - The request id
+ * @returns {Promise<object[]>} - [{ resultHash, nodes, result }], most submitted first; `result` is
+ *                                empty when the request stores its result off-chain
+ */
+async function read_submissions(request_id) {
+  const count = Number(await contract.submissionCount(request_id));
+  const groups = new Map();
+  for (let i = 0; i < count; i++) {
+    const [node, resultHash] = await contract.submissions(request_id, i);
+    if (!groups.has(resultHash)) {
+      groups.set(resultHash, { resultHash, nodes: [] });
+    }
+    groups.get(resultHash).nodes.push(node);
+  }
+  for (const group of groups.values()) {
+    const result = await contract.results(request_id, group.resultHash);
+    group.result = result.length > MAX_RESULT_LENGTH ? result.slice(0, MAX_RESULT_LENGTH) + '...' : result;
+  }
+  return [...groups.values()].sort((a, b) => b.nodes.length - a.nodes.length);
+}
+
+async function check_request(request_id, request, num_nodes) {
+  const now = Date.now();
+  const noConsensus = !request.alerted.includes('no_consensus') && request.submissions >= num_nodes;
+  const stuck = !request.alerted.includes('stuck') && now - request.seenAt >= STUCK_AFTER;
+  if (!noConsensus && !stuck) return;
+
+  // Missed Processed event (e.g. rewound by a reorg): the request is gone
+  const info = await contract.getRequestInfo(request_id);
+  dirty = true;
+  if (info.caller === ethers.ZeroAddress) {
+    delete requests[request_id];
+    return;
+  }
+
+  const results = await read_submissions(request_id);
+  request.submissions = results.reduce((sum, group) => sum + group.nodes.length, 0);
+  const details = {
+    blockNumber: request.blockNumber,
+    openForMs: now - request.seenAt,
+    redundancy: Number(info.redundancy),
+    authorizedNodes: num_nodes,
+    submissions: request.submissions,
+    distinctResults: results.length,
+    results
+  };
+
+  if (request.submissions >= num_nodes) {
+    send_alert('no_consensus', request_id, details);
+    // No need to report it as stuck as well
+    request.alerted = ['no_consensus', 'stuck'];
+  } else if (stuck) {
+    send_alert('stuck', request_id, details);
+    request.alerted.push('stuck');
+  }
+}
+
+async function check_requests() {
+  try {
+    const numNodes = (await contract.getAuthorizedNodes()).length;
+    const now = Date.now();
+    for (const [id, request] of Object.entries(requests)) {
+      if (request.alerted.length > 0 && now - request.seenAt > RETENTION) {
+        delete requests[id];
+        dirty = true;
+        continue;
+      }
+      try {
+        await check_request(id, request, numNodes);
+      } catch (err) {
+        console.error(`Error checking request ${id}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('Error checking open requests:', err.message);
+  } finally {
+    save_requests();
+    if (is_active) {
+      check_timer = setTimeout(check_requests, CHECK_INTERVAL);
+    }
+  }
+}
+
+/**
+ * Load the requests followed by the previous run and start checking them
+ * @param {object} contract_instance - The ethers contract
+ * @param {string} address - The contract address
+ */
+function initialize_request_monitor(contract_instance, address) {
+  contract = contract_instance;
+  contract_address = address;
+  requests_file_path = path.join(CONFIG_PATH, address.toLowerCase() + '.open-requests.json');
+  alerts_file_path = path.join(CONFIG_PATH, address.toLowerCase() + '.alerts.jsonl');
+  requests = read_requests();
+
+  const open = Object.keys(requests).length;
+  if (open > 0) {
+    console.log(`Request monitor: ${open} open request(s) from the previous run`);
+  }
+  is_active = true;
+  check_timer = setTimeout(check_requests, CHECK_INTERVAL);
+}
+
+function terminate_request_monitor() {
+  is_active = false;
+  clearTimeout(check_timer);
+  check_timer = null;
+  save_requests();
+}
+
+/**
+ * Follow the requests from the contract events: NewRequest, ResultSubmitted and Processed
+ * @param {object} event - The contract event (eventName, args, blockNumber)
+ */
+function on_monitor_event(event) {
+  if (!requests_file_path) return;
+  const id = String(event.args.requestId);
+
+  if (event.eventName === 'NewRequest') {
+    if (requests[id]) return;
+    requests[id] = { blockNumber: event.blockNumber, seenAt: Date.now(), submissions: 0, alerted: [] };
+  } else if (event.eventName === 'ResultSubmitted') {
+    if (!requests[id]) return;
+    requests[id].submissions++;
+  } else if (event.eventName === 'Processed') {
+    const request = requests[id];
+    if (!request) return;
+    delete requests[id];
+    if (request.alerted.length > 0) {
+      send_alert('resolved', id, { openForMs: Date.now() - request.seenAt, callbackSuccess: event.args.callbackSuccess });
+    }
+  } else {
+    return;
+  }
+  dirty = true;
+}
+
+module.exports = {
+  initialize_request_monitor,
+  terminate_request_monitor,
+  on_monitor_event
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { estimate_cost } = require('./ledger.js');
+const { estimate_prompt_tokens } = require('./rate-limiter.js');
+
+// Operator policy checked before the LLM is called
+//
+// Requests pay a flat price per platform/model, whatever their prompt, so the node refuses the
+// ones the operator doesn't want to serve or that would cost more than they pay. A refused
+// request is skipped: the next node in the round-robin decides for itself at its turn.
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+const POLICY_FILE = process.env.NODE_POLICY_FILE || path.join(CONFIG_PATH, 'policy.json');
+
+const DEFAULT_POLICY = {
+  maxPromptTokens: null,
+  allowedModels: null,
+  blockedConfigs: [],
+  blockedCallers: [],
+  maxCostRatio: 1,
+  gasPerSubmission: 200000,
+  nativeTokenUsd: null
+};
+
+let policy = null;
+
+function is_string_list(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+function is_positive_number(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+const POLICY_KEYS = {
+  maxPromptTokens: (value) => Number.isInteger(value) && value > 0,
+  allowedModels: is_string_list,
+  blockedConfigs: is_string_list,
+  blockedCallers: (value) => is_string_list(value) && value.every(ethers.isAddress),
+  maxCostRatio: is_positive_number,
+  gasPerSubmission: (value) => Number.isInteger(value) && value > 0,
+  nativeTokenUsd: is_positive_number
+};
+
+// Config hashes are compared without 0x prefix and case
+function normalize_hash(hash) {
+  return String(hash).toLowerCase().replace(/^0x/, '');
+}
+
+/**
+ * Load the policy file:
+ *
+ *   {
+ *     "maxPromptTokens": 20000,
+ *     "allowedModels": ["anthropic", "openai/gpt-4o"],
+ *     "blockedConfigs": ["<prompt config hash>"],
+ *     "blockedCallers": ["0x..."],
+ *     "maxCostRatio": 0.8,
+ *     "gasPerSubmission": 200000,
+ *     "nativeTokenUsd": 3000
+ *   }
+ *
+ * Every key is optional. `allowedModels` lists platforms (any of their models) or "platform/model";
+ * without it every platform is served. Requests whose estimated provider cost (prices.json), plus
+ * the gas of `gasPerSubmission` when `nativeTokenUsd` is set, exceeds `maxCostRatio` times the
+ * on-chain price are refused.
+ * @param {string} [file] - Path of the policy file
+ */
+function load_policy(file = POLICY_FILE) {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read policy ${file}: ${err.message}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    if (!POLICY_KEYS[key]) {
+      throw new Error(`Policy ${file}: unknown key "${key}"`);
+    }
+    if (!POLICY_KEYS[key](value)) {
+      throw new Error(`Policy ${file}: "${key}" has an invalid value`);
+    }
+  }
+
+  policy = { ...DEFAULT_POLICY, ...config };
+  policy.allowedModels = policy.allowedModels && policy.allowedModels.map(entry => entry.toLowerCase());
+  policy.blockedConfigs = policy.blockedConfigs.map(normalize_hash);
+  policy.blockedCallers = policy.blockedCallers.map(address => address.toLowerCase());
+}
+
+function is_model_allowed(platform, model) {
+  if (!policy.allowedModels) return true;
+  const key = String(platform).toLowerCase();
+  return policy.allowedModels.includes(key) || policy.allowedModels.includes(`${key}/${String(model).toLowerCase()}`);
+}
+
+/**
+ * Check a request against the operator policy, once its prompt is built
+ * @param {object} request - platform, model, configHash, caller, messages (the built prompt), maxTokens (all the
+ *                           output tokens the call may be billed for),
+ *                           getPriceCents() and getGasPrice() (async, only called for the cost check)
+ * @returns {Promise<string|null>} - Why the request is refused, or null to process it
+ */
+async function check_request_policy(request) {
+  if (!policy) load_policy();
+  const { platform, model } = request;
+
+  if (policy.blockedCallers.includes(String(request.caller).toLowerCase())) {
+    return `caller ${request.caller} is blocked`;
+  }
+  if (policy.blockedConfigs.includes(normalize_hash(request.configHash))) {
+    return `prompt config ${request.configHash} is blocked`;
+  }
+  if (!is_model_allowed(platform, model)) {
+    return `${platform}/${model} is not an allowed model`;
+  }
+
+  const inputTokens = estimate_prompt_tokens(request.messages);
+  if (policy.maxPromptTokens && inputTokens > policy.maxPromptTokens) {
+    return `prompt of ~${inputTokens} tokens exceeds the limit of ${policy.maxPromptTokens}`;
+  }
+
+  // Worst case: the whole output token limit is used. Models without a price in prices.json are served
+  // without a cost check
+  const llmCost = estimate_cost(platform, model, inputTokens, request.maxTokens);
+  if (llmCost === null) {
+    return null;
+  }
+  let gasCost = 0;
+  if (policy.nativeTokenUsd) {
+    const gasPrice = await request.getGasPrice();
+    gasCost = Number(ethers.formatEther(gasPrice * BigInt(policy.gasPerSubmission))) * policy.nativeTokenUsd;
+  }
+  const priceCents = await request.getPriceCents();
+  const cost = llmCost + gasCost;
+  if (cost > Number(priceCents) / 100 * policy.maxCostRatio) {
+    return `estimated cost $${cost.toFixed(4)} (LLM $${llmCost.toFixed(4)}, gas $${gasCost.toFixed(4)}) ` +
+      `exceeds ${policy.maxCostRatio} x the price of $${(Number(priceCents) / 100).toFixed(2)}`;
+  }
+  return null;
+}
+
+module.exports = {
+  load_policy,
+  check_request_policy
+};
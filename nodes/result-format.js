@@ -0,0 +1,77 @@
+const { validate_json } = require('./json-schema.js');
+
+// Result format checks for prompt configs that declare a "schema" or an "enum"
+//
+// A config's `output` is null (free text), { type: 'json', schema } or { type: 'enum', values }.
+// Results that don't match are never submitted: the model is asked to correct its answer
+// a bounded number of times, then the request fails.
+
+// A JSON answer wrapped in a Markdown code block
+const CODE_FENCE = /^```(?:json)?\s*\n([\s\S]*?)\n?```$/i;
+
+/**
+ * Check a result against the declared output format
+ * @param {string} text - The (extracted) result
+ * @param {object|null} output - The `output` of the prompt config
+ * @returns {{ok: boolean, result: string, errors: Array<string>}} - The result to submit, or why it doesn't match
+ */
+function check_result(text, output) {
+  if (!output) {
+    return { ok: true, result: text, errors: [] };
+  }
+  const trimmed = String(text ?? '').trim();
+
+  if (output.type === 'enum') {
+    // Answers are matched case-insensitively and submitted exactly as declared
+    const unquoted = trimmed.replace(/^(["'`])(.*)\1$/s, '$2').trim();
+    const match = output.values.find(value => value.toLowerCase() === unquoted.toLowerCase());
+    return match !== undefined
+      ? { ok: true, result: match, errors: [] }
+      : { ok: false, result: trimmed, errors: [`the answer must be exactly one of: ${output.values.join(', ')}`] };
+  }
+
+  const fenced = trimmed.match(CODE_FENCE);
+  const json = fenced ? fenced[1].trim() : trimmed;
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (err) {
+    return { ok: false, result: trimmed, errors: [`the answer is not valid JSON (${err.message})`] };
+  }
+  const errors = validate_json(value, output.schema);
+  return { ok: errors.length === 0, result: json, errors };
+}
+
+/**
+ * Messages asking the model to correct an answer that didn't match the output format
+ * @param {Array<object>} messages - The messages the answer was generated from
+ * @param {string} answer - The model's full answer
+ * @param {Array<string>} errors - What was wrong with it (from check_result)
+ * @param {object} output - The `output` of the prompt config
+ * @returns {Array<object>} - The messages for the next attempt
+ */
+function repair_messages(messages, answer, errors, output) {
+  // A trailing assistant prefill is replaced by the answer, and offered again after the correction
+  const last = messages[messages.length - 1];
+  const prefill = last.role === 'assistant' ? last : null;
+  const history = prefill ? messages.slice(0, -1) : messages;
+
+  const expected = output.type === 'enum'
+    ? `Reply with exactly one of: ${output.values.join(', ')}`
+    : `Reply with JSON matching this schema:\n${JSON.stringify(output.schema)}`;
+  const correction = `Your answer does not have the required format:\n` +
+    errors.map(error => `- ${error}`).join('\n') +
+    `\n\n${expected}`;
+
+  return [
+    ...history,
+    { role: 'assistant', content: answer || '(empty answer)' },
+    { role: 'user', content: correction },
+    ...(prefill ? [prefill] : [])
+  ];
+}
+
+module.exports = {
+  check_result,
+  repair_messages
+};
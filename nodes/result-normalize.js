@@ -0,0 +1,121 @@
+// Canonical result normalisation
+//
+// The contract only accepts a result once `redundancy` nodes submitted the same bytes, so
+// answers that mean the same ("Positive" / "positive.", JSON with another key order) must be
+// made identical before they are hashed. A prompt config chooses the steps with "normalize",
+// applied in order:
+//
+//   trim               remove leading and trailing whitespace
+//   lowercase          case-fold
+//   strip_punctuation  remove trailing punctuation (and whitespace)
+//   nfc                Unicode NFC normalisation
+//   json               canonical JSON: sorted keys, no whitespace
+//   round:N            round numbers to N decimals (a number result, or every number in a JSON result)
+//
+// Every step only depends on the result text, so all nodes produce the same bytes.
+
+// Listed explicitly rather than as a Unicode category, which may differ between Node versions
+const TRAILING_PUNCTUATION = /[\s.,;:!?…、。！，：；？]+$/u;
+
+const MAX_DECIMALS = 18;
+
+const STEPS = {
+  trim: (text) => text.trim(),
+  lowercase: (text) => text.toLowerCase(),
+  strip_punctuation: (text) => text.replace(TRAILING_PUNCTUATION, ''),
+  nfc: (text) => text.normalize('NFC'),
+  json: (text) => canonical_json(parse_json(text)),
+  round: (text, decimals) => round_result(text, decimals)
+};
+
+/**
+ * Validate the "normalize" setting of a prompt config: a step name or a list of them
+ * @param {string|Array<string>} value - The setting
+ * @returns {Array<object>} - The steps ({ mode, decimals })
+ */
+function parse_normalize(value) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0) {
+    throw new Error('must be a step or a list of steps');
+  }
+  return list.map(step => {
+    const match = typeof step === 'string' && step.match(/^(\w+)(?::(\d+))?$/);
+    if (!match || !STEPS[match[1]]) {
+      throw new Error(`has an unknown step ${JSON.stringify(step)} (expected ${Object.keys(STEPS).join(', ')})`);
+    }
+    const mode = match[1];
+    if (mode === 'round') {
+      const decimals = match[2] === undefined ? NaN : Number(match[2]);
+      if (!(decimals <= MAX_DECIMALS)) {
+        throw new Error(`round needs a number of decimals up to ${MAX_DECIMALS} (e.g. "round:2")`);
+      }
+      return { mode, decimals };
+    }
+    if (match[2] !== undefined) {
+      throw new Error(`step "${mode}" takes no argument`);
+    }
+    return { mode };
+  });
+}
+
+function parse_json(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`result is not valid JSON (${err.message})`);
+  }
+}
+
+// JSON with object keys sorted (by UTF-16 code units) at every level and no whitespace
+function canonical_json(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonical_json).join(',') + ']';
+  }
+  if (value !== null && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .map(key => JSON.stringify(key) + ':' + canonical_json(value[key]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function round_number(number, decimals) {
+  return Number(number.toFixed(decimals));
+}
+
+function round_values(value, decimals) {
+  if (typeof value === 'number') return round_number(value, decimals);
+  if (Array.isArray(value)) return value.map(item => round_values(item, decimals));
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, round_values(item, decimals)]));
+  }
+  return value;
+}
+
+// A number result becomes a fixed-point number with the given decimals;
+// in a JSON object or array every number is rounded and the JSON written without whitespace
+function round_result(text, decimals) {
+  const trimmed = text.trim();
+  if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed)) {
+    return Number(trimmed).toFixed(decimals);
+  }
+  if (/^[[{]/.test(trimmed)) {
+    return JSON.stringify(round_values(parse_json(trimmed), decimals));
+  }
+  throw new Error('result is not a number or JSON and cannot be rounded');
+}
+
+/**
+ * Apply the normalisation steps of a prompt config to a result
+ * @param {string} text - The result
+ * @param {Array<object>} steps - The steps (from parse_normalize)
+ * @returns {string} - The normalised result (throws when a step doesn't apply to the result)
+ */
+function normalize_result(text, steps) {
+  return steps.reduce((result, step) => STEPS[step.mode](result, step.decimals), String(text ?? ''));
+}
+
+module.exports = {
+  parse_normalize,
+  normalize_result
+};
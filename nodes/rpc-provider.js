@@ -0,0 +1,364 @@
+const { ethers } = require('ethers');
+
+// Provider spreading JSON-RPC calls over several endpoints of a network
+//
+// Calls go to the best HTTP endpoint, ranked by latency and recent errors; an endpoint whose block
+// number lags the others is demoted. New blocks come from a WebSocket endpoint when one is configured
+// and connected, otherwise from polling eth_blockNumber, and contract events are read with eth_getLogs
+// on every new block. Logs are never reported as removed (ethers would not pass them to contract
+// listeners anyway): contract-events.js detects reorganisations from block hashes. A dropped WebSocket
+// is reconnected with backoff while polling takes over, so the provider, its event listeners and the
+// contract and wallet built on it are never replaced.
+
+const RPC_TIMEOUT = parseInt(process.env.RPC_TIMEOUT_MS) || 15000;
+const POLLING_INTERVAL = parseInt(process.env.RPC_POLLING_INTERVAL_MS) || 4000;
+const HEALTH_CHECK_INTERVAL = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS) || 30000;
+const MAX_LAG_BLOCKS = parseInt(process.env.RPC_MAX_LAG_BLOCKS) || 5;
+
+// Endpoints failing this many calls in a row are tried last for a while
+const MAX_FAILURES = 3;
+const FAILURE_COOLDOWN = 30000;
+
+// While the WebSocket delivers heads, polling only catches up on missed ones
+const WS_SAFETY_POLL_INTERVAL = 30000;
+const WS_PING_INTERVAL = 2 * 60 * 1000;
+const WS_MIN_BACKOFF = 1000;
+const WS_MAX_BACKOFF = 60000;
+
+// Blocks read per eth_getLogs call when catching up
+const MAX_LOG_RANGE = 1000;
+
+// Block events: from the WebSocket when connected, else by polling (replaces ethers' polling block subscriber)
+class HeadSubscriber {
+  constructor(provider) {
+    this.provider = provider;
+    this.blockNumber = -2;
+    this.timer = null;
+    this.running = false;
+  }
+
+  async emit_heads(blockNumber) {
+    if (!this.running) return;
+    // First head: start from there
+    if (this.blockNumber === -2) {
+      this.blockNumber = blockNumber;
+      return;
+    }
+    // Emit every block in between, as events are read per block range
+    for (let b = this.blockNumber + 1; b <= blockNumber && this.running; b++) {
+      this.blockNumber = b;
+      await this.provider.emit('block', b);
+    }
+  }
+
+  async poll() {
+    try {
+      await this.emit_heads(await this.provider.getBlockNumber());
+    } catch (err) {
+      // Every endpoint failed: try again at the next poll
+    }
+    if (this.running) {
+      const interval = this.provider.ws_connected() ? WS_SAFETY_POLL_INTERVAL : POLLING_INTERVAL;
+      this.timer = setTimeout(() => this.poll(), interval);
+    }
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.provider.head_subscribers.add(this);
+    this.poll();
+  }
+
+  stop() {
+    this.running = false;
+    this.provider.head_subscribers.delete(this);
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  pause(dropWhilePaused) {
+    this.stop();
+    if (dropWhilePaused) {
+      this.blockNumber = -2;
+    }
+  }
+
+  resume() {
+    this.start();
+  }
+}
+
+// Contract events: the logs of each new block range, read with eth_getLogs (replaces ethers' polling
+// event subscriber, whose failed calls reject unhandled and whose range is not read again). A range
+// that fails is read again at the next block.
+class LogSubscriber {
+  constructor(provider, filter) {
+    this.provider = provider;
+    this.filter = { ...filter };
+    this.blockNumber = -2;
+    this.running = false;
+    this.polling = false;
+    this.failing = false;
+    this.poller = (blockNumber) => this.poll(blockNumber);
+  }
+
+  async poll(blockNumber) {
+    // A poll still running reads the new blocks too
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      if (this.blockNumber === -2) {
+        this.blockNumber = blockNumber - 1;
+      }
+      while (this.running && this.blockNumber < blockNumber) {
+        const fromBlock = this.blockNumber + 1;
+        const toBlock = Math.min(blockNumber, fromBlock + MAX_LOG_RANGE - 1);
+        const logs = await this.provider.getLogs({ ...this.filter, fromBlock, toBlock });
+        for (const log of logs) {
+          if (!this.running) break;
+          this.provider.emit(this.filter, log);
+        }
+        this.blockNumber = toBlock;
+        if (this.failing) {
+          console.log(`[RPC] reading logs again from block ${fromBlock}`);
+          this.failing = false;
+        }
+      }
+    } catch (err) {
+      if (!this.failing) {
+        console.warn(`[RPC] reading logs after block ${this.blockNumber} failed (${err.shortMessage || err.message}), retrying at the next block`);
+        this.failing = true;
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    if (this.blockNumber === -2) {
+      this.provider.getBlockNumber().then((blockNumber) => {
+        if (this.blockNumber === -2) this.blockNumber = blockNumber;
+      }, () => {
+        // Every endpoint failed: the first block event sets it
+      });
+    }
+    this.provider.on('block', this.poller);
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    this.provider.off('block', this.poller);
+  }
+
+  pause(dropWhilePaused) {
+    this.stop();
+    if (dropWhilePaused) {
+      this.blockNumber = -2;
+    }
+  }
+
+  resume() {
+    this.start();
+  }
+}
+
+class FailoverProvider extends ethers.JsonRpcApiProvider {
+  /**
+   * @param {object} options - rpc: HTTP endpoint URLs, wss: WebSocket endpoint URLs (optional),
+   *                           chainId: the network's chain id (optional, detected otherwise)
+   */
+  constructor(options) {
+    const rpc = [].concat(options.rpc || []);
+    if (rpc.length === 0) {
+      throw new Error('At least one RPC endpoint is required');
+    }
+    const network = options.chainId ? ethers.Network.from(options.chainId) : undefined;
+    super(network, { polling: true, batchMaxCount: 1, staticNetwork: network || null });
+    this.static_network = network;
+
+    this.endpoints = rpc.map(url => ({
+      url,
+      latency: null,        // moving average of call times (ms)
+      failures: 0,          // consecutive failures
+      failedAt: 0,
+      blockNumber: null,    // at the last health check
+      lagging: false
+    }));
+    this.wss = [].concat(options.wss || []);
+    this.head_subscribers = new Set();
+
+    this.ws_provider = null;
+    this.ws_index = 0;
+    this.ws_backoff = WS_MIN_BACKOFF;
+    this.ws_timer = null;
+    this.stopped = false;
+
+    if (this.wss.length > 0) {
+      this.connect_ws();
+    }
+    if (this.endpoints.length > 1) {
+      this.health_timer = setInterval(() => this.check_endpoints(), HEALTH_CHECK_INTERVAL);
+      this.check_endpoints();
+    }
+  }
+
+  _getSubscriber(sub) {
+    if (sub.type === 'block') {
+      return new HeadSubscriber(this);
+    }
+    if (sub.type === 'event') {
+      return new LogSubscriber(this, sub.filter);
+    }
+    return super._getSubscriber(sub);
+  }
+
+  // Endpoints in the order to try them: healthy first, by lag then latency; those failing last
+  ranked_endpoints() {
+    const now = Date.now();
+    const cooling = (endpoint) => endpoint.failures >= MAX_FAILURES && now - endpoint.failedAt < FAILURE_COOLDOWN;
+    return [...this.endpoints].sort((a, b) =>
+      cooling(a) - cooling(b) ||
+      a.lagging - b.lagging ||
+      (a.latency ?? 0) * (1 + a.failures) - (b.latency ?? 0) * (1 + b.failures));
+  }
+
+  async post(endpoint, body) {
+    const started = Date.now();
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        signal: AbortSignal.timeout(RPC_TIMEOUT)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const result = await response.json();
+      const elapsed = Date.now() - started;
+      endpoint.latency = endpoint.latency === null ? elapsed : Math.round(endpoint.latency * 0.8 + elapsed * 0.2);
+      endpoint.failures = 0;
+      return result;
+    } catch (err) {
+      endpoint.failures++;
+      endpoint.failedAt = Date.now();
+      if (endpoint.failures === MAX_FAILURES) {
+        console.warn(`[RPC] ${endpoint.url} failed ${MAX_FAILURES} calls in a row (${err.message}), demoted`);
+      }
+      throw err;
+    }
+  }
+
+  async _send(payload) {
+    const body = JSON.stringify(payload);
+    let lastError = null;
+    for (const endpoint of this.ranked_endpoints()) {
+      try {
+        const result = await this.post(endpoint, body);
+        return Array.isArray(result) ? result : [result];
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  // Cross-check the endpoints' block numbers: one behind the others by more than MAX_LAG_BLOCKS is demoted
+  async check_endpoints() {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        const result = await this.post(endpoint, body);
+        endpoint.blockNumber = Number(result.result);
+      } catch (err) {
+        endpoint.blockNumber = null;
+      }
+    }));
+
+    const heads = this.endpoints.map(endpoint => endpoint.blockNumber).filter(Number.isFinite);
+    if (heads.length === 0) return;
+    const best = Math.max(...heads);
+    for (const endpoint of this.endpoints) {
+      if (endpoint.blockNumber === null) continue;
+      const lagging = best - endpoint.blockNumber > MAX_LAG_BLOCKS;
+      if (lagging !== endpoint.lagging) {
+        console.warn(`[RPC] ${endpoint.url} ${lagging ? `is ${best - endpoint.blockNumber} blocks behind, demoted` : 'caught up'}`);
+        endpoint.lagging = lagging;
+      }
+    }
+  }
+
+  ws_connected() {
+    return this.ws_provider !== null && this.ws_provider.websocket.readyState === 1;
+  }
+
+  connect_ws() {
+    if (this.stopped) return;
+    const url = this.wss[this.ws_index % this.wss.length];
+    console.log(`[WSS] connecting to ${url}`);
+
+    const wsProvider = new ethers.WebSocketProvider(url, this.static_network);
+    const ws = wsProvider.websocket;
+    this.ws_provider = wsProvider;
+
+    let closed = false;
+    let pongReceived = true;
+    let pingTimer = null;
+    const onClosed = (reason) => {
+      if (closed) return;
+      closed = true;
+      clearInterval(pingTimer);
+      this.ws_provider = null;
+      wsProvider.destroy().catch(() => {});
+      if (this.stopped) return;
+      console.error(`[WSS] ${reason}, polling over HTTP until reconnected (retry in ${this.ws_backoff / 1000}s)`);
+      this.ws_index++;
+      this.ws_timer = setTimeout(() => this.connect_ws(), this.ws_backoff);
+      this.ws_backoff = Math.min(this.ws_backoff * 2, WS_MAX_BACKOFF);
+    };
+
+    ws.on('error', (err) => console.error('[WSS] socket error:', err && err.message ? err.message : err));
+    ws.on('close', (code) => onClosed(`socket closed (code=${code})`));
+    ws.on('pong', () => { pongReceived = true; });
+    ws.on('open', () => {
+      console.log(`[WSS] connected to ${url}`);
+      this.ws_backoff = WS_MIN_BACKOFF;
+    });
+
+    // A half-open connection (e.g. a private node silently dropping TCP) never closes: ping it
+    pingTimer = setInterval(() => {
+      if (!pongReceived) {
+        ws.terminate();
+        onClosed('no pong within keep-alive window');
+        return;
+      }
+      pongReceived = false;
+      if (ws.readyState === 1) ws.ping();
+    }, WS_PING_INTERVAL);
+
+    wsProvider.on('block', (blockNumber) => {
+      for (const subscriber of this.head_subscribers) {
+        subscriber.emit_heads(blockNumber);
+      }
+    }).catch((err) => console.error('[WSS] block subscription failed:', err.message));
+  }
+
+  destroy() {
+    this.stopped = true;
+    clearInterval(this.health_timer);
+    clearTimeout(this.ws_timer);
+    if (this.ws_provider) {
+      this.ws_provider.destroy().catch(() => {});
+      this.ws_provider = null;
+    }
+    super.destroy();
+  }
+}
+
+module.exports = {
+  FailoverProvider
+};
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Storage backends
+//
+// A backend stores blobs under their hex SHA-256 hash:
+//   {
+//     name: 'ipfs',
+//     get: async (hash, signal) => Buffer | null,   // null when the backend doesn't have it
+//     put: async (hash, content, signal) => void
+//   }
+// Backends don't verify content; storage.js checks every blob against its hash.
+// Errors with `retryable` set to false are not retried.
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+
+function http_error(status) {
+  const error = new Error(`Storage service error: ${status}`);
+  // Client errors won't go away by asking again (except rate limiting)
+  error.retryable = status >= 500 || status === 429 || status === 408;
+  return error;
+}
+
+function sha256_hex(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * The storage.aergo.app HTTP API (GET /content/<hash>, POST /store)
+ * @param {object} options - `url`: the service base URL
+ * @returns {object} - The backend
+ */
+function http_backend({ url }) {
+  return {
+    name: 'http',
+    get: async (hash, signal) => {
+      const response = await fetch(`${url}/content/${hash}`, { signal });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw http_error(response.status);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+    put: async (hash, content, signal) => {
+      const response = await fetch(`${url}/store`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: content,
+        signal
+      });
+      if (!response.ok) {
+        throw http_error(response.status);
+      }
+      const data = await response.json();
+      if (!data.success) {
+        const error = new Error(data.error || 'Failed to store content');
+        error.retryable = false;
+        throw error;
+      }
+      if (String(data.hash).toLowerCase() !== hash) {
+        const error = new Error(`Storage service returned hash ${data.hash}, expected ${hash}`);
+        error.retryable = false;
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * A local directory with one file per hash (development and tests)
+ * @param {object} options - `dir`: the directory
+ * @returns {object} - The backend
+ */
+function local_backend({ dir }) {
+  return {
+    name: 'local',
+    get: async (hash) => {
+      try {
+        return fs.readFileSync(path.join(dir, hash));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    put: async (hash, content) => {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, hash);
+      fs.writeFileSync(file + '.tmp', content);
+      fs.renameSync(file + '.tmp', file);
+    }
+  };
+}
+
+// RFC 4648 base32, lowercase and unpadded (the multibase "b" encoding)
+function base32(bytes) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let out = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    out += alphabet[(value << (5 - bits)) & 31];
+  }
+  return out;
+}
+
+/**
+ * CIDv1 of a raw block with the given SHA-256: the same bytes always map to the same CID,
+ * so no lookup table is needed
+ * @param {string} hash - Hex SHA-256
+ * @returns {string} - The CID ("bafkrei...")
+ */
+function sha256_to_cid(hash) {
+  // version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes
+  const bytes = Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), Buffer.from(hash, 'hex')]);
+  return 'b' + base32(bytes);
+}
+
+// Largest block IPFS nodes exchange: a bigger raw block could be stored locally but never fetched by peers
+const IPFS_MAX_BLOCK_SIZE = 1024 * 1024;
+
+/**
+ * IPFS: reads through a gateway, writes raw blocks through the Kubo RPC API.
+ * Blobs are stored as single raw blocks (up to 1 MiB), so their CID follows from the SHA-256.
+ * @param {object} options - `gatewayUrl`, `apiUrl`
+ * @returns {object} - The backend
+ */
+function ipfs_backend({ gatewayUrl, apiUrl }) {
+  return {
+    name: 'ipfs',
+    get: async (hash, signal) => {
+      const response = await fetch(`${gatewayUrl}/ipfs/${sha256_to_cid(hash)}?format=raw`, {
+        headers: { Accept: 'application/vnd.ipld.raw' },
+        signal
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw http_error(response.status);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+    put: async (hash, content, signal) => {
+      // Chunking would give a CID that no longer follows from the SHA-256
+      if (content.length > IPFS_MAX_BLOCK_SIZE) {
+        const error = new Error(`Content of ${content.length} bytes exceeds the IPFS block limit of ${IPFS_MAX_BLOCK_SIZE} bytes`);
+        error.retryable = false;
+        throw error;
+      }
+      const form = new FormData();
+      form.append('file', new Blob([content]));
+      const response = await fetch(`${apiUrl}/api/v0/block/put?cid-codec=raw&mhtype=sha2-256&pin=true`, {
+        method: 'POST',
+        body: form,
+        signal
+      });
+      if (!response.ok) {
+        throw http_error(response.status);
+      }
+      const data = await response.json();
+      if (data.Key !== sha256_to_cid(hash)) {
+        const error = new Error(`IPFS node returned CID ${data.Key}, expected ${sha256_to_cid(hash)}`);
+        error.retryable = false;
+        throw error;
+      }
+    }
+  };
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// URI encoding of SigV4 canonical paths: everything but unreserved characters (encodeURIComponent keeps !'()*)
+function uri_encode(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// AWS Signature Version 4 headers for an S3 request
+function s3_sign(method, url, payloadHash, { region, accessKeyId, secretAccessKey }) {
+  const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const signedHeaders = Object.keys(headers).join(';');
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...Object.entries(headers).map(([key, value]) => `${key}:${value}`),
+    '',
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256_hex(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac('AWS4' + secretAccessKey, date), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, ...), path-style addressing.
+ * Objects are named <prefix><hash>; the object hash doubles as the signed payload hash.
+ * @param {object} options - `endpoint`, `bucket`, `region`, `prefix`, `accessKeyId`, `secretAccessKey`
+ * @returns {object} - The backend
+ */
+function s3_backend({ endpoint, bucket, region = 'us-east-1', prefix = '', accessKeyId, secretAccessKey }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs a bucket and credentials');
+  }
+  const credentials = { region, accessKeyId, secretAccessKey };
+  const object_url = (hash) => {
+    const key = (prefix + hash).split('/').map(uri_encode).join('/');
+    return new URL(`${endpoint.replace(/\/+$/, '')}/${uri_encode(bucket)}/${key}`);
+  };
+
+  return {
+    name: 's3',
+    get: async (hash, signal) => {
+      const url = object_url(hash);
+      const response = await fetch(url, {
+        headers: s3_sign('GET', url, sha256_hex(''), credentials),
+        signal
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw http_error(response.status);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+    put: async (hash, content, signal) => {
+      const url = object_url(hash);
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: { ...s3_sign('PUT', url, hash, credentials), 'Content-Type': 'application/octet-stream' },
+        body: content,
+        signal
+      });
+      if (!response.ok) {
+        throw http_error(response.status);
+      }
+    }
+  };
+}
+
+// Backends by name, configured from the environment
+const BACKEND_FACTORIES = {
+  // Default to production storage service; override with STORAGE_SERVICE_URL env var for local dev
+  http: () => http_backend({
+    url: process.env.STORAGE_SERVICE_URL || 'https://storage.aergo.app'
+  }),
+  local: () => local_backend({
+    dir: process.env.STORAGE_LOCAL_DIR || path.join(CONFIG_PATH, 'storage')
+  }),
+  ipfs: () => ipfs_backend({
+    gatewayUrl: process.env.IPFS_GATEWAY_URL || 'http://127.0.0.1:8080',
+    apiUrl: process.env.IPFS_API_URL || 'http://127.0.0.1:5001'
+  }),
+  s3: () => s3_backend({
+    endpoint: process.env.S3_ENDPOINT || 'http://127.0.0.1:9000',
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    prefix: process.env.S3_PREFIX,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  })
+};
+
+/**
+ * Create the backends listed in a comma-separated list of names (e.g. "local,ipfs,http")
+ * @param {string} list - The backend names, in order
+ * @returns {Array<object>} - The backends
+ */
+function create_backends(list) {
+  return list.split(',').map(name => name.trim().toLowerCase()).filter(Boolean).map(name => {
+    const factory = BACKEND_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown storage backend: ${name} (expected one of ${Object.keys(BACKEND_FACTORIES).join(', ')})`);
+    }
+    return factory();
+  });
+}
+
+module.exports = {
+  sha256_hex,
+  sha256_to_cid,
+  http_backend,
+  local_backend,
+  ipfs_backend,
+  s3_backend,
+  create_backends
+};
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const { sha256_hex, create_backends } = require('./storage-backends.js');
+
+// Storage backends (see storage-backends.js): reads try each in order until one has the
+// content, writes go to all write backends
+const STORAGE_BACKENDS = process.env.STORAGE_BACKENDS || 'http';
+const STORAGE_WRITE_BACKENDS = process.env.STORAGE_WRITE_BACKENDS || STORAGE_BACKENDS.split(',')[0];
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+
+// Local content-addressed cache of verified blobs
+const CACHE_DIR = process.env.STORAGE_CACHE_DIR || path.join(CONFIG_PATH, 'content-cache');
+const CACHE_MAX_BYTES = parseInt(process.env.STORAGE_CACHE_MAX_BYTES) || 100 * 1024 * 1024;
+
+// Fetch policy
+const STORAGE_TIMEOUT = parseInt(process.env.STORAGE_TIMEOUT_MS) || 15000;
+const STORAGE_MAX_ATTEMPTS = 3;
+const STORAGE_BACKOFF = 1000;
+
+// hash -> { size, lastUsed }, loaded lazily from the cache directory
+let cache_index = null;
+let cache_bytes = 0;
+
+// Created on first use
+let read_backends = null;
+let write_backends = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function is_content_hash(hash) {
+  return typeof hash === 'string' && /^[a-f0-9]{64}$/i.test(hash);
+}
+
+function load_cache_index() {
+  if (cache_index) return;
+  cache_index = new Map();
+  cache_bytes = 0;
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    for (const name of fs.readdirSync(CACHE_DIR)) {
+      if (!is_content_hash(name)) continue;
+      const stat = fs.statSync(path.join(CACHE_DIR, name));
+      cache_index.set(name, { size: stat.size, lastUsed: stat.mtimeMs });
+      cache_bytes += stat.size;
+    }
+  } catch (err) {
+    console.error('Error loading content cache:', err.message);
+  }
+}
+
+// Evict least recently used blobs until the cache fits its size limit
+function evict_cache() {
+  if (cache_bytes <= CACHE_MAX_BYTES) return;
+  const entries = Array.from(cache_index.entries()).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  for (const [hash, entry] of entries) {
+    if (cache_bytes <= CACHE_MAX_BYTES) break;
+    try {
+      fs.unlinkSync(path.join(CACHE_DIR, hash));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Error evicting cached content:', err.message);
+    }
+    cache_index.delete(hash);
+    cache_bytes -= entry.size;
+  }
+}
+
+function read_cache(hash) {
+  load_cache_index();
+  const entry = cache_index.get(hash);
+  if (!entry) return null;
+
+  const file = path.join(CACHE_DIR, hash);
+  try {
+    const content = fs.readFileSync(file);
+    // The cache is trusted no more than the network: re-verify on read
+    if (sha256_hex(content) !== hash) {
+      console.error(`Cached content for ${hash} is corrupt, dropping it`);
+      fs.unlinkSync(file);
+      cache_index.delete(hash);
+      cache_bytes -= entry.size;
+      return null;
+    }
+    entry.lastUsed = Date.now();
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    return content;
+  } catch (err) {
+    cache_index.delete(hash);
+    cache_bytes -= entry.size;
+    return null;
+  }
+}
+
+function write_cache(hash, content) {
+  load_cache_index();
+  if (cache_index.has(hash) || content.length > CACHE_MAX_BYTES) return;
+  try {
+    const file = path.join(CACHE_DIR, hash);
+    fs.writeFileSync(file + '.tmp', content);
+    fs.renameSync(file + '.tmp', file);
+    cache_index.set(hash, { size: content.length, lastUsed: Date.now() });
+    cache_bytes += content.length;
+    evict_cache();
+  } catch (err) {
+    console.error('Error writing content cache:', err.message);
+  }
+}
+
+// Run a storage operation with a timeout per attempt and retries with backoff.
+// `operation(signal)` returns the result, or throws an error with `retryable` set to false to stop.
+async function with_retries(label, operation) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(AbortSignal.timeout(STORAGE_TIMEOUT));
+    } catch (error) {
+      if (error.retryable === false || attempt >= STORAGE_MAX_ATTEMPTS) {
+        throw error;
+      }
+      const delay = STORAGE_BACKOFF * 2 ** (attempt - 1);
+      console.warn(`${label} attempt ${attempt} failed: ${error.message}, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+function load_backends() {
+  if (read_backends) return;
+  read_backends = create_backends(STORAGE_BACKENDS);
+  write_backends = create_backends(STORAGE_WRITE_BACKENDS);
+  if (read_backends.length === 0 || write_backends.length === 0) {
+    throw new Error('No storage backends configured');
+  }
+}
+
+/**
+ * Get content by its SHA-256 hash, from the local cache or the first storage backend that has it.
+ * Fetched content is only returned (and cached) when it hashes to the requested hash.
+ * @param {string} hash - Hex SHA-256 of the content
+ * @returns {Promise<Buffer|null>} - The content, or null if not found or not retrievable
+ */
+async function getContent(hash) {
+  if (!is_content_hash(hash)) {
+    console.error(`Invalid content hash: ${hash}`);
+    return null;
+  }
+  hash = hash.toLowerCase();
+
+  const cached = read_cache(hash);
+  if (cached) {
+    return cached;
+  }
+
+  load_backends();
+  for (const backend of read_backends) {
+    try {
+      const content = await with_retries(`Fetch of ${hash} from ${backend.name}`, async (signal) => {
+        const buffer = await backend.get(hash, signal);
+        if (buffer) {
+          const actual = sha256_hex(buffer);
+          if (actual !== hash) {
+            // Try the next backend instead of asking this one again
+            const error = new Error(`integrity check failed: content hashes to ${actual}`);
+            error.retryable = false;
+            throw error;
+          }
+        }
+        return buffer;
+      });
+      if (content) {
+        write_cache(hash, content);
+        return content;
+      }
+    } catch (error) {
+      console.error(`Error fetching content ${hash} from ${backend.name} storage:`, error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Store content in the write backends.
+ * The first write backend must succeed; the others are replicas and only log their failures.
+ * @param {string|Buffer} content - The content
+ * @returns {Promise<string>} - Hex SHA-256 of the content
+ */
+async function storeContent(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  const hash = sha256_hex(buffer);
+
+  load_backends();
+  const [primary, ...replicas] = write_backends;
+
+  try {
+    await with_retries(`Store to ${primary.name}`, (signal) => primary.put(hash, buffer, signal));
+  } catch (error) {
+    console.error(`Error storing content to ${primary.name} storage:`, error.message);
+    throw error;
+  }
+
+  for (const backend of replicas) {
+    try {
+      await with_retries(`Store to ${backend.name}`, (signal) => backend.put(hash, buffer, signal));
+    } catch (error) {
+      console.error(`Error replicating content ${hash} to ${backend.name} storage:`, error.message);
+    }
+  }
+
+  write_cache(hash, buffer);
+  return hash;
+}
+
+module.exports = {
+  getContent,
+  storeContent
+};
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CONFIG_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'circuit-breaker-'));
+process.env.LLM_BREAKER_THRESHOLD = '3';
+process.env.LLM_BREAKER_COOLDOWN_MS = '1000';
+delete process.env.OPENAI_API_KEY;
+
+const {
+  BREAKER_STATE,
+  breaker_available,
+  breaker_allows,
+  breaker_success,
+  breaker_failure,
+  breaker_release,
+  get_breaker_states
+} = require('../circuit-breaker.js');
+const { process_llm_request, is_platform_available } = require('../llm-requests.js');
+
+const FAILURE = new Error('HTTP 503');
+
+function fail(platform, times) {
+  for (let i = 0; i < times; i++) breaker_failure(platform, FAILURE);
+}
+
+test('the breaker opens after the threshold of consecutive failures', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  fail('p1', 2);
+  breaker_success('p1');
+  fail('p1', 2);
+  assert.equal(breaker_allows('p1'), true);
+  fail('p1', 1);
+  assert.equal(breaker_allows('p1'), false);
+  assert.equal(breaker_available('p1'), false);
+  assert.deepEqual(get_breaker_states().p1, {
+    state: BREAKER_STATE.OPEN, failures: 3, openedAt: 1000000, retryAt: 1001000, lastError: 'HTTP 503', updatedAt: 1000000
+  });
+  assert.equal(JSON.parse(fs.readFileSync(path.join(process.env.CONFIG_PATH, 'provider-health.json'), 'utf8')).p1.state, 'open');
+});
+
+test('after the cooldown only one probe is let through at a time', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 2000000 });
+  fail('p2', 3);
+  t.mock.timers.tick(999);
+  assert.equal(breaker_allows('p2'), false);
+  t.mock.timers.tick(1);
+  assert.equal(breaker_available('p2'), true);
+  assert.equal(breaker_allows('p2'), true);
+  assert.equal(get_breaker_states().p2.state, BREAKER_STATE.HALF_OPEN);
+  assert.equal(breaker_available('p2'), false);
+  assert.equal(breaker_allows('p2'), false);
+
+  breaker_success('p2');
+  assert.equal(get_breaker_states().p2.state, BREAKER_STATE.CLOSED);
+  assert.equal(breaker_allows('p2'), true);
+  assert.equal(breaker_allows('p2'), true);
+});
+
+test('a failed probe opens the breaker again for twice as long', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 3000000 });
+  fail('p3', 3);
+  t.mock.timers.tick(1000);
+  for (const cooldown of [2000, 4000]) {
+    assert.equal(breaker_allows('p3'), true);
+    breaker_failure('p3', FAILURE);
+    assert.equal(get_breaker_states().p3.state, BREAKER_STATE.OPEN);
+    assert.equal(get_breaker_states().p3.retryAt, Date.now() + cooldown);
+    t.mock.timers.tick(cooldown - 1);
+    assert.equal(breaker_allows('p3'), false);
+    t.mock.timers.tick(1);
+  }
+  // A success resets the cooldown
+  assert.equal(breaker_allows('p3'), true);
+  breaker_success('p3');
+  fail('p3', 3);
+  assert.equal(get_breaker_states().p3.retryAt, Date.now() + 1000);
+});
+
+test('a probe that says nothing about the platform lets the next call probe', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 4000000 });
+  fail('p4', 3);
+  t.mock.timers.tick(1000);
+  assert.equal(breaker_allows('p4'), true);
+  breaker_release('p4');
+  assert.equal(get_breaker_states().p4.state, BREAKER_STATE.HALF_OPEN);
+  assert.equal(breaker_allows('p4'), true);
+});
+
+test('calls go through the breaker of their platform', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 5000000 });
+  assert.equal(is_platform_available('openai'), true);
+  assert.equal(is_platform_available('no-such-platform'), true);
+  fail('openai', 3);
+  assert.equal(is_platform_available('openai'), false);
+  await assert.rejects(process_llm_request('openai', 'gpt-4o', 'Hi'), { code: 'CIRCUIT_OPEN' });
+
+  // The probe fails on the missing API key, which says nothing about the platform
+  t.mock.timers.tick(1000);
+  assert.equal(is_platform_available('openai'), true);
+  await assert.rejects(process_llm_request('openai', 'gpt-4o', 'Hi'), /OPENAI_API_KEY environment variable is not set/);
+  assert.equal(get_breaker_states().openai.state, BREAKER_STATE.HALF_OPEN);
+  assert.equal(is_platform_available('openai'), true);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CONFIG_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-events-'));
+process.env.EVENT_CONFIRMATIONS = '2';
+
+const { ethers } = require('ethers');
+const { initialize_event_handling, terminate_event_handling } = require('../contract-events.js');
+
+const ADDRESS = '0x' + '42'.repeat(20);
+
+// A chain whose blocks from a fork point can be replaced, with the contract's logs
+function fake_chain(head) {
+  const chain = { head, forks: new Map(), logs: [], block_listeners: [], event_listener: null };
+  chain.hash = (block) => ethers.id(`${chain.forks.get(block) || 0}:${block}`);
+  chain.log = (eventName, block) => chain.logs.push({ eventName, block, hash: chain.hash(block) });
+  chain.reorg = (from, head) => {
+    for (let block = from; block <= head; block++) chain.forks.set(block, (chain.forks.get(block) || 0) + 1);
+    chain.head = head;
+  };
+  chain.new_block = async (head) => {
+    chain.head = head;
+    for (const listener of chain.block_listeners) await listener(head);
+  };
+
+  chain.provider = {
+    ready: Promise.resolve(),
+    getBlockNumber: async () => chain.head,
+    getBlock: async (block) => (block <= chain.head ? { number: block, hash: chain.hash(block) } : null),
+    getCode: async () => '0x6080',
+    on: async (event, listener) => chain.block_listeners.push(listener),
+    off: async (event, listener) => { chain.block_listeners = chain.block_listeners.filter(l => l !== listener); }
+  };
+  chain.contract = {
+    getAddress: async () => ADDRESS,
+    // Only the logs of blocks still in the chain
+    queryFilter: async (filter, from, to) => chain.logs
+      .filter(log => log.block >= from && log.block <= to && log.hash === chain.hash(log.block))
+      .map(log => ({
+        fragment: { name: log.eventName },
+        args: { requestId: 1n },
+        blockNumber: log.block,
+        blockHash: log.hash,
+        index: 0,
+        transactionHash: ethers.id(log.eventName)
+      })),
+    on: async (event, listener) => { chain.event_listener = listener; },
+    removeAllListeners: async () => { chain.event_listener = null; }
+  };
+  // A log delivered by the subscription
+  chain.emit_log = (eventName, block) => {
+    chain.log(eventName, block);
+    chain.event_listener({
+      eventName,
+      args: { requestId: 1n },
+      log: { address: ADDRESS, blockNumber: block, blockHash: chain.hash(block), index: 0, transactionHash: ethers.id(eventName) }
+    });
+  };
+  return chain;
+}
+
+test('events are delivered once confirmed, and read again from the fork point after a reorg', async (t) => {
+  const chain = fake_chain(10);
+  // Also stops the gap-fill timer when an assertion fails
+  t.after(() => terminate_event_handling());
+  // A previous run stopped at block 5
+  fs.writeFileSync(path.join(process.env.CONFIG_PATH, ADDRESS + '.last-processed-block'), JSON.stringify({
+    block: 5, logIndex: Number.MAX_SAFE_INTEGER, blockHash: chain.hash(5),
+    recentBlocks: [{ block: 2, hash: chain.hash(2) }, { block: 5, hash: chain.hash(5) }]
+  }));
+  chain.log('A', 3);
+  chain.log('B', 8);
+  chain.log('C', 9);
+
+  const delivered = [];
+  const rewinds = [];
+  await initialize_event_handling(chain.provider, chain.contract, ADDRESS,
+    (event, is_new) => delivered.push(`${event.eventName}${is_new ? ' (new)' : ''}@${event.blockNumber}`),
+    (block) => rewinds.push(block));
+
+  // Up to the confirmed head (8); C waits for its confirmations
+  assert.deepEqual(delivered, ['B@8']);
+  await chain.new_block(11);
+  assert.deepEqual(delivered, ['B@8', 'C (new)@9']);
+
+  // D arrives, then blocks from 9 are replaced: C is included again in block 10, D is gone
+  chain.emit_log('D', 11);
+  chain.reorg(9, 13);
+  chain.log('C', 10);
+  await chain.new_block(13);
+
+  // D was dropped before confirmation; the watermark (block 9) was replaced, so events are read again from block 8
+  assert.deepEqual(rewinds, [8]);
+  assert.deepEqual(delivered, ['B@8', 'C (new)@9', 'C@10']);
+  const watermark = JSON.parse(fs.readFileSync(path.join(process.env.CONFIG_PATH, ADDRESS + '.last-processed-block'), 'utf8'));
+  assert.equal(watermark.block, 11);
+  assert.equal(watermark.blockHash, chain.hash(11));
+  assert.deepEqual(watermark.recentBlocks.map(entry => entry.block), [2, 5, 8, 11]);
+
+  // Nothing changed: no rewind
+  await chain.new_block(14);
+  assert.deepEqual(rewinds, [8]);
+
+  await terminate_event_handling();
+  assert.equal(chain.block_listeners.length, 0);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CONFIG_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+
+const {
+  JOB_STATE,
+  initialize_job_queue,
+  add_job,
+  update_job,
+  cancel_job,
+  get_job,
+  get_unfinished_jobs,
+  is_finished
+} = require('../job-queue.js');
+
+const CONTRACT_ADDRESS = '0x' + 'AB'.repeat(20);
+const JOBS_FILE = path.join(process.env.CONFIG_PATH, CONTRACT_ADDRESS.toLowerCase() + '.jobs.json');
+const DAY = 24 * 60 * 60 * 1000;
+
+function saved_jobs() {
+  return JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+}
+
+test('a request gets one job, whatever the events delivering it', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000 });
+  fs.rmSync(JOBS_FILE, { force: true });
+  initialize_job_queue(CONTRACT_ADDRESS);
+
+  const { job, created } = add_job(7n, 2n, 61000, 120);
+  assert.equal(created, true);
+  assert.deepEqual(job, {
+    requestId: '7', redundancy: 2, state: JOB_STATE.SCHEDULED, dueAt: 61000, blockNumber: 120, createdAt: 1000, updatedAt: 1000, attempts: 0
+  });
+  const again = add_job('7', 1, 0, 121);
+  assert.equal(again.created, false);
+  assert.equal(again.job, job);
+  assert.equal(get_job(7n), job);
+  assert.deepEqual(saved_jobs(), { 7: job });
+});
+
+test('state changes are saved and unfinished jobs are found again after a restart', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000 });
+  fs.rmSync(JOBS_FILE, { force: true });
+  initialize_job_queue(CONTRACT_ADDRESS);
+  for (const id of [1, 2, 3, 4]) add_job(id, 1, 1000, 100 + id);
+
+  t.mock.timers.tick(500);
+  update_job(1, { state: JOB_STATE.CALLING_LLM });
+  update_job(2, { state: JOB_STATE.SUBMITTING, txHash: '0x12' });
+  update_job(3, { state: JOB_STATE.CONFIRMED });
+  assert.equal(update_job(99, { state: JOB_STATE.FAILED }), null);
+  assert.deepEqual(saved_jobs()[2], { ...get_job(2), state: JOB_STATE.SUBMITTING, txHash: '0x12', updatedAt: 1500 });
+
+  // Only jobs that haven't started can be cancelled
+  assert.equal(cancel_job(1, 'reorg'), false);
+  assert.equal(cancel_job(4, 'reorg'), true);
+  assert.equal(get_job(4), null);
+
+  initialize_job_queue(CONTRACT_ADDRESS);
+  assert.deepEqual(get_unfinished_jobs().map(job => [job.requestId, job.state]), [
+    ['1', JOB_STATE.CALLING_LLM],
+    ['2', JOB_STATE.SUBMITTING]
+  ]);
+  assert.equal(get_job(2).txHash, '0x12');
+  assert.equal(is_finished(get_job(3)), true);
+  assert.equal(get_job(4), null);
+});
+
+test('finished jobs are pruned after a day, unfinished ones are kept', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 10 * DAY });
+  const job = (state, updatedAt) => ({ requestId: '0', redundancy: 1, state, dueAt: 0, createdAt: 0, updatedAt, attempts: 0 });
+  fs.writeFileSync(JOBS_FILE, JSON.stringify({
+    old_confirmed: job(JOB_STATE.CONFIRMED, 8 * DAY),
+    old_failed: job(JOB_STATE.FAILED, 9 * DAY - 1),
+    old_scheduled: job(JOB_STATE.SCHEDULED, 8 * DAY),
+    recent_skipped: job(JOB_STATE.SKIPPED, 9 * DAY + 1)
+  }));
+
+  initialize_job_queue(CONTRACT_ADDRESS);
+  assert.deepEqual(Object.keys(saved_jobs()), ['old_scheduled', 'recent_skipped']);
+});
+
+test('an unreadable queue file starts an empty queue', () => {
+  fs.writeFileSync(JOBS_FILE, '{"1": {"requestId"');
+  initialize_job_queue(CONTRACT_ADDRESS);
+  assert.deepEqual(get_unfinished_jobs(), []);
+  assert.deepEqual(saved_jobs(), {});
+});
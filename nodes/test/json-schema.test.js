@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { check_schema, validate_json, to_gemini_schema } = require('../json-schema.js');
+
+const SENTIMENT = {
+  type: 'object',
+  properties: {
+    label: { enum: ['positive', 'negative', 'neutral'] },
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    tags: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 3, uniqueItems: true }
+  },
+  required: ['label', 'score'],
+  additionalProperties: false
+};
+
+test('schemas using unsupported keywords or malformed values are rejected', () => {
+  check_schema(SENTIMENT);
+  check_schema(true);
+  assert.throws(() => check_schema({ type: 'object', $ref: '#/defs/a' }), /\$ uses unsupported keyword "\$ref"/);
+  assert.throws(() => check_schema({ properties: { a: { format: 'email' } } }), /\$\.properties\.a uses unsupported keyword "format"/);
+  assert.throws(() => check_schema({ type: 'text' }), /invalid type/);
+  assert.throws(() => check_schema({ minLength: -1 }), /invalid minLength/);
+  assert.throws(() => check_schema({ minimum: '1' }), /invalid minimum/);
+  assert.throws(() => check_schema({ pattern: '(' }), /invalid pattern/);
+  assert.throws(() => check_schema({ anyOf: [] }), /invalid anyOf/);
+  assert.throws(() => check_schema({ anyOf: [{ type: 'string' }, { oneOf: [{ foo: 1 }] }] }), /\$\.anyOf\[1\]\.oneOf\[0\] uses unsupported keyword "foo"/);
+  assert.throws(() => check_schema([]), /\$ must be an object/);
+});
+
+test('a valid result has no errors', () => {
+  assert.deepEqual(validate_json({ label: 'positive', score: 0.9, tags: ['a', 'b'] }, SENTIMENT), []);
+  assert.deepEqual(validate_json({ label: 'neutral', score: 1 }, SENTIMENT), []);
+});
+
+test('every violation is reported with its location', () => {
+  assert.deepEqual(validate_json({ label: 'happy', score: 2, tags: ['a', 'a', ''], extra: 1 }, SENTIMENT), [
+    '$.label must be one of ["positive","negative","neutral"]',
+    '$.score must be <= 1',
+    '$.tags must not contain duplicates',
+    '$.tags[2] must be at least 1 characters',
+    '$.extra is not allowed'
+  ]);
+  assert.deepEqual(validate_json({}, SENTIMENT), ['$.label is required', '$.score is required']);
+  assert.deepEqual(validate_json([], SENTIMENT), ['$ must be object']);
+});
+
+test('types', () => {
+  assert.deepEqual(validate_json(3, { type: 'integer' }), []);
+  assert.deepEqual(validate_json(3, { type: 'number' }), []);
+  assert.deepEqual(validate_json(3.5, { type: 'integer' }), ['$ must be integer']);
+  assert.deepEqual(validate_json(null, { type: ['string', 'null'] }), []);
+  assert.deepEqual(validate_json('1', { type: ['number', 'boolean'] }), ['$ must be number or boolean']);
+});
+
+test('strings count characters, not UTF-16 units', () => {
+  assert.deepEqual(validate_json('😀😀', { maxLength: 2 }), []);
+  assert.deepEqual(validate_json('abc', { maxLength: 2, pattern: '^\\d+$' }), ['$ must be at most 2 characters', '$ must match ^\\d+$']);
+});
+
+test('numbers', () => {
+  const schema = { exclusiveMinimum: 0, exclusiveMaximum: 10, multipleOf: 0.1 };
+  assert.deepEqual(validate_json(0.3, schema), []);
+  assert.deepEqual(validate_json(9.9, schema), []);
+  assert.deepEqual(validate_json(0, schema), ['$ must be > 0']);
+  assert.deepEqual(validate_json(10, schema), ['$ must be < 10']);
+  assert.deepEqual(validate_json(0.35, schema), ['$ must be a multiple of 0.1']);
+  assert.deepEqual(validate_json(10, { multipleOf: 3 }), ['$ must be a multiple of 3']);
+});
+
+test('enum and const compare JSON structurally', () => {
+  assert.deepEqual(validate_json({ b: [1], a: 2 }, { const: { a: 2, b: [1] } }), []);
+  assert.deepEqual(validate_json({ a: 2 }, { enum: [{ a: '2' }] }), ['$ must be one of [{"a":"2"}]']);
+});
+
+test('combinators', () => {
+  const number_or_digits = { anyOf: [{ type: 'number' }, { type: 'string', pattern: '^\\d+$' }] };
+  assert.deepEqual(validate_json('42', number_or_digits), []);
+  assert.deepEqual(validate_json('x', number_or_digits), ['$ must match one of the anyOf schemas']);
+
+  const one = { oneOf: [{ type: 'integer' }, { type: 'number' }] };
+  assert.deepEqual(validate_json(1.5, one), []);
+  assert.deepEqual(validate_json(1, one), ['$ must match exactly one of the oneOf schemas']);
+
+  assert.deepEqual(validate_json(5, { allOf: [{ minimum: 1 }, { maximum: 3 }] }), ['$ must be <= 3']);
+  assert.deepEqual(validate_json('', { not: { maxLength: 0 } }), ['$ must not match the "not" schema']);
+  assert.deepEqual(validate_json(1, { items: false }), []);
+  assert.deepEqual(validate_json([1], { items: false }), ['$[0] is not allowed']);
+});
+
+test('Gemini schemas keep the supported subset', () => {
+  assert.deepEqual(to_gemini_schema({
+    type: ['string', 'null'], enum: ['a', 1], pattern: '^a', description: 'label'
+  }), { nullable: true, type: 'STRING', description: 'label', enum: ['a', '1'] });
+  assert.deepEqual(to_gemini_schema(SENTIMENT), {
+    type: 'OBJECT',
+    properties: {
+      label: { enum: ['positive', 'negative', 'neutral'] },
+      score: { type: 'NUMBER', minimum: 0, maximum: 1 },
+      tags: { type: 'ARRAY', items: { type: 'STRING' }, maxItems: 3 }
+    },
+    required: ['label', 'score']
+  });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { post_with_retry } = require('../llm-http.js');
+
+// Answers each call after `delay` ms with the next status of `statuses` (200 once they run out)
+function start_llm(delay, statuses, calls) {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      calls.push(Date.now());
+      setTimeout(() => {
+        res.statusCode = statuses.shift() || 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ ok: res.statusCode === 200 }));
+      }, delay);
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('the first attempt gets the full timeout even past the deadline', async (t) => {
+  const calls = [];
+  const server = await start_llm(200, [], calls);
+  t.after(() => server.close());
+
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  const response = await post_with_retry('openai', url, {}, {}, { deadline: Date.now() + 50 });
+  assert.equal(response.status, 200);
+  assert.equal(calls.length, 1);
+});
+
+test('no retry is started past the deadline', async (t) => {
+  const calls = [];
+  const server = await start_llm(0, [503, 503], calls);
+  t.after(() => server.close());
+
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  await assert.rejects(post_with_retry('openai', url, {}, {}, { deadline: Date.now() + 100 }),
+    error => error.response.status === 503);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+
+const CONTRACT_ADDRESS = '0x' + '5a'.repeat(20);
+const NODE_ADDRESS = ethers.getAddress('0x' + '7c'.repeat(20));
+const HEAD = 16;
+
+const contract_interface = new ethers.Interface([
+  'function getAuthorizedNodes() external view returns (address[] memory)',
+  'function checkSubmission(uint256 requestId, address nodeAddress) external view returns (string memory)'
+]);
+
+function block(number) {
+  return {
+    number: ethers.toQuantity(number),
+    hash: ethers.id(`block ${number}`),
+    parentHash: ethers.id(`block ${number - 1}`),
+    timestamp: ethers.toQuantity(1700000000 + number),
+    nonce: '0x0000000000000000',
+    difficulty: '0x0',
+    gasLimit: '0x1c9c380',
+    gasUsed: '0x0',
+    miner: ethers.ZeroAddress,
+    extraData: '0x',
+    baseFeePerGas: '0x1',
+    transactions: []
+  };
+}
+
+function receipt(hash) {
+  return {
+    transactionHash: hash,
+    blockHash: ethers.id(`block ${HEAD - 1}`),
+    blockNumber: ethers.toQuantity(HEAD - 1),
+    transactionIndex: '0x0',
+    from: NODE_ADDRESS,
+    to: CONTRACT_ADDRESS,
+    contractAddress: null,
+    gasUsed: '0x5208',
+    cumulativeGasUsed: '0x5208',
+    effectiveGasPrice: '0x1',
+    logs: [],
+    logsBloom: '0x' + '00'.repeat(256),
+    status: '0x1',
+    type: '0x2'
+  };
+}
+
+// A JSON-RPC endpoint for the contract: this node is its only authorized node, and `submissions`
+// gives checkSubmission's answer per request; `receipts` are the mined transactions
+function start_chain({ submissions, receipts }) {
+  const calls = [];
+  const answer = (call) => {
+    const [params] = call.params || [];
+    switch (call.method) {
+      case 'eth_chainId': return '0x7a69';
+      case 'eth_blockNumber': return ethers.toQuantity(HEAD);
+      case 'eth_getBalance': return '0xde0b6b3a7640000';
+      case 'eth_getCode': return '0x6080';
+      case 'eth_getLogs': return [];
+      case 'eth_getBlockByNumber': return block(Number(params === 'latest' ? HEAD : params));
+      case 'eth_getTransactionReceipt': return receipts.includes(params) ? receipt(params) : null;
+      case 'eth_call': {
+        const parsed = contract_interface.parseTransaction({ data: params.data });
+        calls.push(`${parsed.name}(${parsed.args.length > 0 ? parsed.args[0] : ''})`);
+        if (parsed.name === 'getAuthorizedNodes') {
+          return contract_interface.encodeFunctionResult(parsed.fragment, [[NODE_ADDRESS]]);
+        }
+        return contract_interface.encodeFunctionResult(parsed.fragment, [submissions[String(parsed.args[0])]]);
+      }
+      default: return null;
+    }
+  };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const respond = (call) => ({ jsonrpc: '2.0', id: call.id, result: answer(call) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(respond) : respond(payload)));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, calls })));
+}
+
+function wait_until(condition, timeout = 20000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() - started > timeout) return reject(new Error('timed out'));
+      setTimeout(check, 50);
+    };
+    check();
+  });
+}
+
+test('unfinished jobs are resumed after a restart', async (t) => {
+  const config_path = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-service-'));
+  const jobs_file = path.join(config_path, CONTRACT_ADDRESS + '.jobs.json');
+  const tx_hash = ethers.id('sendResult 2');
+  const now = Date.now();
+  const job = (id, state, fields = {}) => ({
+    requestId: id, redundancy: 1, state, dueAt: now - 1000, blockNumber: 10, createdAt: now - 5000, updatedAt: now - 5000, attempts: 0, ...fields
+  });
+  // Stopped after its turn came, while submitting, right after finishing, and before its turn
+  fs.writeFileSync(jobs_file, JSON.stringify({
+    1: job('1', 'scheduled'),
+    2: job('2', 'submitting', { txHash: tx_hash }),
+    3: job('3', 'confirmed'),
+    4: job('4', 'scheduled', { dueAt: now + 60000 })
+  }));
+
+  const { server, calls } = await start_chain({ submissions: { 1: 'processed' }, receipts: [tx_hash] });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const node = spawn(process.execPath, [path.join(__dirname, '..', 'llm-service.js'), 'local'], {
+    env: {
+      ...process.env,
+      CONFIG_PATH: config_path,
+      LLM_SERVICE_CONTRACT: CONTRACT_ADDRESS,
+      RPC_URLS: url,
+      REMOTE_SIGNER_URL: url,
+      REMOTE_SIGNER_ADDRESS: NODE_ADDRESS
+    },
+    stdio: 'ignore'
+  });
+  t.after(() => {
+    node.kill('SIGKILL');
+    server.close();
+  });
+
+  const jobs = () => JSON.parse(fs.readFileSync(jobs_file, 'utf8'));
+  await wait_until(() => jobs()[1].state !== 'scheduled' && jobs()[2].state !== 'submitting');
+  assert.deepEqual([jobs()[1].state, jobs()[1].reason], ['skipped', 'processed']);
+  assert.deepEqual([jobs()[2].state, jobs()[2].reason], ['confirmed', 'receipt found after restart']);
+  assert.equal(jobs()[3].state, 'confirmed');
+  assert.equal(jobs()[4].state, 'scheduled');
+  // The job whose turn had come asked the contract again; the others didn't
+  assert.deepEqual(calls.filter(call => call.startsWith('checkSubmission')), ['checkSubmission(1)']);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { BASE_WAIT_TIME, initialize_scheduler, set_nodes, slot_wait, wait_for_turn, on_request_event } = require('../node-scheduler.js');
+
+const NODES = ['0x' + 'a1'.repeat(20), '0x' + 'b2'.repeat(20), '0x' + 'c3'.repeat(20), '0x' + 'd4'.repeat(20)];
+const SELF = NODES[3];
+
+// Who sent the transaction that processed each request
+const processed_by = new Map();
+const transactions_read = [];
+initialize_scheduler({
+  getTransaction: async (hash) => {
+    transactions_read.push(hash);
+    return { from: processed_by.get(hash) };
+  }
+});
+
+function order(request_id) {
+  const key = (node) => ethers.solidityPackedKeccak256(['uint256', 'address'], [request_id, node]);
+  return [...NODES].sort((a, b) => (key(a) < key(b) ? -1 : 1));
+}
+
+// Request ids (from `start`) whose order matches `predicate`
+function find_requests(predicate, count, start = 1) {
+  const ids = [];
+  for (let id = start; ids.length < count; id++) {
+    if (predicate(order(id))) ids.push(id);
+  }
+  return ids;
+}
+
+// A request that was processed by `answered_by`, without any other answer
+async function process_request(id, redundancy, answered_by, is_new = true) {
+  const transactionHash = ethers.id(`tx ${id}`);
+  processed_by.set(transactionHash, answered_by);
+  on_request_event({ eventName: 'NewRequest', args: { requestId: BigInt(id), redundancy: BigInt(redundancy) } }, is_new);
+  on_request_event({ eventName: 'Processed', args: { requestId: BigInt(id) }, transactionHash }, is_new);
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+test('every node computes the same order, and turns follow it', () => {
+  for (const id of [1n, 2n, 12345678901234567890n]) {
+    const expected = order(id);
+    for (const node of NODES) {
+      set_nodes(NODES.map(address => ethers.getAddress(address)), ethers.getAddress(node));
+      const position = expected.indexOf(node);
+      assert.deepEqual(slot_wait(id, 2), { position, skipped: 0, wait: Math.max(position - 1, 0) * BASE_WAIT_TIME });
+    }
+  }
+});
+
+test('the redundancy decoded from the event (a BigInt) gives the same turns', () => {
+  set_nodes(NODES, SELF);
+  for (const id of find_requests(o => o.indexOf(SELF) >= 1, 3)) {
+    assert.deepEqual(slot_wait(BigInt(id), 1n), slot_wait(BigInt(id), 1));
+    assert.ok(slot_wait(BigInt(id), 1n).wait > 0);
+  }
+});
+
+test('the order spreads the first turn over all nodes', () => {
+  const firsts = new Map(NODES.map(node => [node, 0]));
+  for (let id = 0; id < 400; id++) {
+    const first = order(id)[0];
+    firsts.set(first, firsts.get(first) + 1);
+  }
+  for (const count of firsts.values()) {
+    assert.ok(count > 60 && count < 140, `first turns: ${[...firsts.values()]}`);
+  }
+});
+
+test('a node that is not authorized has no turn', () => {
+  set_nodes(NODES.slice(0, 3), SELF);
+  assert.deepEqual(slot_wait(1n, 1), { position: -1, skipped: 0, wait: 0 });
+});
+
+test('waiting for a turn ends early when the request is processed', async () => {
+  set_nodes(NODES, SELF);
+  const [id] = find_requests(o => o.indexOf(SELF) === 3, 1);
+  const now = Date.now();
+  const waiting = wait_for_turn(BigInt(id), 1, now, now + 3 * BASE_WAIT_TIME);
+  await process_request(id, 1, order(id)[0]);
+  assert.equal(await waiting, true);
+});
+
+test('peers that keep missing their first turn are skipped until they answer again', async () => {
+  set_nodes(NODES, SELF);
+  const peer = NODES[0];
+  const other = NODES[1];
+  // Requests where the peer answers first and this node right after it
+  const [id] = find_requests(o => o[0] === peer && o[1] === SELF, 1, 1000);
+  assert.deepEqual(slot_wait(BigInt(id), 1), { position: 1, skipped: 0, wait: BASE_WAIT_TIME });
+
+  const now = Date.now();
+  let brought_forward = false;
+  const waiting = wait_for_turn(BigInt(id), 1, now, now + BASE_WAIT_TIME).then(processed => {
+    brought_forward = true;
+    return processed;
+  });
+
+  // The peer was in the first turn of these requests, which another node answered
+  const missed = find_requests(o => o[0] === peer, 3, 2000);
+  await process_request(missed[0], 1, other);
+  await process_request(missed[1], 1, other);
+  assert.equal(slot_wait(BigInt(id), 1).wait, BASE_WAIT_TIME);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(brought_forward, false);
+
+  await process_request(missed[2], 1, other);
+  assert.deepEqual(slot_wait(BigInt(id), 1), { position: 1, skipped: 1, wait: 0 });
+  assert.equal(await waiting, false);
+
+  // Any answer makes it alive again
+  on_request_event({ eventName: 'ResultSubmitted', args: { requestId: 1n, node: ethers.getAddress(peer) } }, true);
+  assert.deepEqual(slot_wait(BigInt(id), 1), { position: 1, skipped: 0, wait: BASE_WAIT_TIME });
+});
+
+test('past events end waits but do not count as misses', async () => {
+  set_nodes(NODES, SELF);
+  const peer = NODES[2];
+  const [id] = find_requests(o => o[0] === peer && o[1] === SELF, 1, 3000);
+
+  const now = Date.now();
+  const waiting = wait_for_turn(BigInt(id), 1, now, now + BASE_WAIT_TIME);
+  const read = transactions_read.length;
+  for (const missed of find_requests(o => o[0] === peer, 5, 4000)) {
+    await process_request(missed, 1, NODES[1], false);
+  }
+  assert.equal(transactions_read.length, read);
+  assert.deepEqual(slot_wait(BigInt(id), 1), { position: 1, skipped: 0, wait: BASE_WAIT_TIME });
+
+  await process_request(id, 1, peer, false);
+  assert.equal(await waiting, true);
+});
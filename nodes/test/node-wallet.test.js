@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ethers } = require('ethers');
+const { RemoteSigner } = require('../node-wallet.js');
+
+// Remote signer holding `wallet`: records the eth_signTransaction requests and signs them
+function start_remote_signer(wallet, requests) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', async () => {
+      const call = JSON.parse(body);
+      requests.push(call);
+      const tx = { ...call.params[0] };
+      delete tx.from;
+      delete tx.input;
+      tx.gasLimit = tx.gas;
+      delete tx.gas;
+      const raw = await wallet.signTransaction(tx);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: call.id, result: { raw, tx } }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Just what AbstractSigner.sendTransaction needs
+function stub_provider(broadcasts) {
+  return {
+    getNetwork: async () => ethers.Network.from(31337),
+    getTransactionCount: async () => 7,
+    estimateGas: async () => 21000n,
+    getFeeData: async () => new ethers.FeeData(null, 2000000000n, 1000000000n),
+    broadcastTransaction: async (raw) => {
+      broadcasts.push(raw);
+      return { hash: ethers.keccak256(raw) };
+    }
+  };
+}
+
+test('sendTransaction sends every transaction field to eth_signTransaction', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const requests = [];
+  const broadcasts = [];
+  const server = await start_remote_signer(wallet, requests);
+  try {
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const signer = new RemoteSigner(url, wallet.address, stub_provider(broadcasts));
+    const to = '0x' + '22'.repeat(20);
+
+    await signer.sendTransaction({ to, data: '0x1234', gasLimit: 50000n, maxFeePerGas: 3000000000n, maxPriorityFeePerGas: 1000000000n });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].method, 'eth_signTransaction');
+    assert.deepEqual(requests[0].params[0], {
+      from: wallet.address,
+      to: ethers.getAddress(to),
+      data: '0x1234',
+      input: '0x1234',
+      type: '0x2',
+      gas: ethers.toQuantity(50000),
+      maxFeePerGas: ethers.toQuantity(3000000000n),
+      maxPriorityFeePerGas: ethers.toQuantity(1000000000n),
+      value: '0x0',
+      nonce: '0x7',
+      chainId: ethers.toQuantity(31337)
+    });
+
+    const sent = ethers.Transaction.from(broadcasts[0]);
+    assert.equal(sent.from, wallet.address);
+    assert.equal(sent.nonce, 7);
+  } finally {
+    server.close();
+  }
+});
+
+test('signTransaction rejects a transaction signed by another account', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const server = await start_remote_signer(ethers.Wallet.createRandom(), []);
+  try {
+    const signer = new RemoteSigner(`http://127.0.0.1:${server.address().port}`, wallet.address, stub_provider([]));
+    await assert.rejects(
+      signer.signTransaction({ to: '0x' + '22'.repeat(20), nonce: 0, gasLimit: 21000n, gasPrice: 1n, chainId: 31337n }),
+      /not signed by/);
+  } finally {
+    server.close();
+  }
+});
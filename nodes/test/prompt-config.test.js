@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseConfig } = require('../prompt-config.js');
+
+function v2(header) {
+  return `---\nversion: 2\nmodel: anthropic/claude-sonnet-4-20250514\n${header}\n---\nSay hi to {{name}}`;
+}
+
+test('a v1 config is a model line and the prompt', () => {
+  const config = parseConfig('model: openai/gpt-4o\nSay hi to {{name}}');
+  assert.equal(config.version, 1);
+  assert.equal(config.platform, 'openai');
+  assert.equal(config.model, 'gpt-4o');
+  assert.deepEqual(config.messages, [{ role: 'user', content: 'Say hi to {{name}}' }]);
+});
+
+test('thinking takes true, false or a budget the platforms accept', () => {
+  assert.equal(parseConfig(v2('thinking: true')).params.thinking, true);
+  assert.equal(parseConfig(v2('thinking: false')).params.thinking, false);
+  assert.equal(parseConfig(v2('thinking: 1024')).params.thinking, 1024);
+  for (const value of ['0', '512', '1023', '2048.5', '"high"']) {
+    assert.equal(parseConfig(v2(`thinking: ${value}`)), null, `thinking: ${value}`);
+  }
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compile_template, render_template } = require('../prompt-template.js');
+
+function render(template, values, options) {
+  return render_template(template, values, options).text;
+}
+
+test('placeholders take dotted paths and defaults', () => {
+  const values = { name: 'Ada', user: { address: { city: 'London' } }, 'a.b': 'dotted key' };
+  assert.equal(render('Hi {{ name }} from {{user.address.city}}', values), 'Hi Ada from London');
+  assert.equal(render('{{a.b}}', values), 'dotted key');
+  assert.equal(render('{{nick|default:"anon"}} {{count|default:0}}', values), 'anon 0');
+  assert.equal(render('{{user}}', values), '{"address":{"city":"London"}}');
+});
+
+test('inserted values are never rendered again', () => {
+  assert.equal(render('{{a}}', { a: '{{b}} $& $1', b: 'no' }), '{{b}} $& $1');
+});
+
+test('missing placeholders are kept and reported, or fail in strict mode', () => {
+  const { text, missing } = render_template('Hello {{who}}', {});
+  assert.equal(text, 'Hello {{who}}');
+  assert.deepEqual(missing, ['who']);
+  assert.throws(() => render('Hello {{who}}', {}, { strict: true }), /no value for required placeholder \{\{who\}\}/);
+  assert.equal(render('Hello {{who|default:"you"}}', {}, { strict: true }), 'Hello you');
+});
+
+test('text that is not a tag stays literal', () => {
+  const { text, warnings } = render_template('a {{ }} b {{ x y }} c {{ open', { x: 1 });
+  assert.equal(text, 'a {{ }} b {{ x y }} c {{ open');
+  assert.equal(warnings.length, 2);
+  assert.equal(render('\\{{name}}', { name: 'Ada' }), '{{name}}');
+});
+
+test('conditionals', () => {
+  const template = '{{#if flag}}yes{{else}}no{{/if}}/{{#unless flag}}off{{/unless}}';
+  assert.equal(render(template, { flag: true }), 'yes/');
+  for (const flag of [false, 0, '', [], null, undefined]) {
+    assert.equal(render(template, { flag }), 'no/off');
+  }
+});
+
+test('loops expose the item, its fields, the outer scope and the position', () => {
+  const template = '{{#each items}}{{@index}}:{{name}}@{{shop}}{{#if @last}}.{{else}}, {{/if}}{{else}}none{{/each}}';
+  assert.equal(render(template, { shop: 'S', items: [{ name: 'a' }, { name: 'b', shop: 'T' }] }), '0:a@S, 1:b@T.');
+  assert.equal(render(template, { items: [] }), 'none');
+  assert.equal(render('{{#each tags}}[{{this}}]{{/each}}', { tags: ['x', 'y'] }), '[x][y]');
+
+  const { text, warnings } = render_template('{{#each items}}x{{else}}none{{/each}}', { items: 'abc' });
+  assert.equal(text, 'none');
+  assert.deepEqual(warnings, ['{{#each items}} is not a list']);
+});
+
+test('block structure errors are reported', () => {
+  assert.throws(() => compile_template('{{#if a}}x'), /\{\{#if\}\} is not closed/);
+  assert.throws(() => compile_template('{{#if a}}x{{/each}}'), /unexpected \{\{\/each\}\} at offset 10/);
+  assert.throws(() => compile_template('x{{else}}'), /unexpected \{\{else\}\}/);
+  assert.throws(() => compile_template('{{#if a}}x{{else}}y{{else}}z{{/if}}'), /unexpected \{\{else\}\}/);
+});
+
+test('without blocks (v1 configs) block tags stay text and {{else}} is a placeholder', () => {
+  const template = 'Use {{#if}} and {{/if}} or {{#each x}} {{else}} {{name}}';
+  const { text, missing } = render_template(template, { name: 'Ada' }, { blocks: false });
+  assert.equal(text, 'Use {{#if}} and {{/if}} or {{#each x}} {{else}} Ada');
+  assert.deepEqual(missing, ['else']);
+  assert.equal(render('{{else}}', { else: 'other' }, { blocks: false }), 'other');
+  assert.throws(() => render(template, { name: 'Ada' }), /unexpected \{\{\/if\}\}/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { register_provider, call_provider, max_output_tokens } = require('../provider-registry.js');
+require('../llm-requests.js');
+
+function adapter(fields) {
+  return {
+    name: 'test-platform',
+    auth: 'none',
+    endpoint: () => 'http://127.0.0.1/',
+    buildRequest: () => ({}),
+    parseResponse: (data) => data.text,
+    ...fields
+  };
+}
+
+test('adapters are checked when they are registered', () => {
+  assert.throws(() => register_provider(adapter({ auth: 'basic' })), /unknown auth scheme "basic"/);
+  assert.throws(() => register_provider(adapter({ auth: 'bearer' })), /apiKeyEnv is required/);
+  assert.throws(() => register_provider(adapter({ parseResponse: 'text' })), /parseResponse must be a function/);
+  assert.throws(() => register_provider(adapter({ fallback: { temperature: 1 } })), /fallback must be a function/);
+  assert.throws(() => register_provider(adapter({ usage: true })), /usage must be a function/);
+  assert.throws(() => register_provider(adapter({ headers: 'x-key: 1' })), /headers must be an object/);
+  assert.throws(() => register_provider(adapter({ models: ['a'] })), /models must be an object/);
+  assert.throws(() => register_provider(adapter({ supportsPrefill: 'yes' })), /supportsPrefill must be a boolean or a function/);
+  assert.throws(() => register_provider(adapter({ maxOutputTokens: 8192 })), /maxOutputTokens must be a function/);
+  register_provider(adapter({ fallback: () => null, supportsPrefill: () => true }));
+});
+
+test('the output token limit includes what the platform adds to max_tokens', () => {
+  assert.equal(max_output_tokens('anthropic', {}), 4096);
+  assert.equal(max_output_tokens('anthropic', { max_tokens: 1000, thinking: 2048 }), 3048);
+  assert.equal(max_output_tokens('Anthropic', { max_tokens: 1000, thinking: true }), 5096);
+  assert.equal(max_output_tokens('gemini', { max_tokens: 1000, thinking: 2048 }), 1000);
+  assert.equal(max_output_tokens('no-such-platform', {}), 4096);
+});
+
+test('a query-string API key is URL-encoded', async (t) => {
+  const urls = [];
+  const server = http.createServer((req, res) => {
+    urls.push(req.url);
+    req.resume();
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ text: 'hi' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.TEST_PLATFORM_KEY = 'a+b/c&d=e';
+  t.after(() => {
+    server.close();
+    delete process.env.TEST_PLATFORM_KEY;
+  });
+
+  const query_adapter = adapter({
+    auth: 'query',
+    apiKeyEnv: 'TEST_PLATFORM_KEY',
+    endpoint: (model) => `http://127.0.0.1:${server.address().port}/models/${model}:generate?alt=json`
+  });
+  const result = await call_provider(query_adapter, 'm1', 'Say hi', {}, {});
+  assert.equal(result.text, 'hi');
+  assert.deepEqual(urls, ['/models/m1:generate?alt=json&key=a%2Bb%2Fc%26d%3De']);
+});
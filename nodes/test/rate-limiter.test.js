@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { load_limits, acquire_slot, estimate_prompt_tokens, estimate_tokens } = require('../rate-limiter.js');
+
+const LIMITS_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-')), 'limits.json');
+fs.writeFileSync(LIMITS_FILE, JSON.stringify({
+  default: { concurrency: 10 },
+  serial: { concurrency: 1 },
+  'shared/slow': { concurrency: 1 },
+  rpm: { rpm: 2 },
+  tpm: { tpm: 1000 }
+}));
+load_limits(LIMITS_FILE);
+
+// Calls that got their slot, in order, with the function releasing it
+function tracker() {
+  const started = [];
+  const releases = {};
+  const call = (name, platform, model, options) => acquire_slot(platform, model, { ...options, label: name }).then(release => {
+    started.push(name);
+    releases[name] = release;
+  });
+  return { started, releases, call };
+}
+
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('waiting calls are served by priority, soonest turn first', async () => {
+  const { started, releases, call } = tracker();
+  call('first', 'serial', 'm', { priority: 0 });
+  await flush();
+  call('late', 'serial', 'm', { priority: 30 });
+  call('soonest', 'serial', 'm', { priority: 10 });
+  call('next', 'serial', 'm', { priority: 20 });
+  await flush();
+  assert.deepEqual(started, ['first']);
+
+  for (const name of ['first', 'soonest', 'next']) {
+    releases[name]();
+    releases[name]();   // a second release is ignored
+    await flush();
+  }
+  assert.deepEqual(started, ['first', 'soonest', 'next', 'late']);
+  releases.late();
+});
+
+test('calls per minute are limited over a sliding window', async (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 1000000 });
+  const { started, releases, call } = tracker();
+  call('a', 'rpm', 'm');
+  call('b', 'rpm', 'm');
+  call('c', 'rpm', 'm');
+  await flush();
+  assert.deepEqual(started, ['a', 'b']);
+
+  // Finishing doesn't free a start in the window
+  releases.a();
+  t.mock.timers.tick(59999);
+  await flush();
+  assert.deepEqual(started, ['a', 'b']);
+  t.mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  releases.b();
+  releases.c();
+});
+
+test('estimated tokens per minute are limited, and a call over the whole budget runs alone', async (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 2000000 });
+  const { started, releases, call } = tracker();
+  call('a', 'tpm', 'm', { tokens: 600 });
+  call('b', 'tpm', 'm', { tokens: 400 });
+  call('c', 'tpm', 'm', { tokens: 2000 });
+  await flush();
+  assert.deepEqual(started, ['a', 'b']);
+
+  t.mock.timers.tick(60000);
+  await flush();
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  for (const name of started) releases[name]();
+});
+
+test('a call waiting on a busy bucket is not overtaken there, and does not hold up other buckets', async (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 3000000 });
+  const { started, releases, call } = tracker();
+  call('running', 'tpm', 'm', { tokens: 600 });
+  await flush();
+  call('large', 'tpm', 'm', { tokens: 600, priority: 1 });
+  // Would fit in the budget left, but comes after the large call
+  call('small', 'tpm', 'other', { tokens: 100, priority: 2 });
+  call('elsewhere', 'shared', 'fast', { tokens: 100, priority: 3 });
+  await flush();
+  assert.deepEqual(started, ['running', 'elsewhere']);
+
+  // Same for concurrency: only the busy model's bucket is held
+  call('slow 1', 'shared', 'slow', { priority: 4 });
+  call('slow 2', 'shared', 'slow', { priority: 5 });
+  call('fast', 'shared', 'fast', { priority: 6 });
+  await flush();
+  assert.deepEqual(started, ['running', 'elsewhere', 'slow 1', 'fast']);
+
+  t.mock.timers.tick(60000);
+  await flush();
+  assert.deepEqual(started, ['running', 'elsewhere', 'slow 1', 'fast', 'large', 'small']);
+  releases['slow 1']();
+  await flush();
+  assert.equal(started[started.length - 1], 'slow 2');
+  for (const name of started) releases[name]();
+});
+
+test('limits are validated when loaded', () => {
+  const file = path.join(path.dirname(LIMITS_FILE), 'invalid.json');
+  fs.writeFileSync(file, JSON.stringify({ openai: { rpm: 0 } }));
+  assert.throws(() => load_limits(file), /"openai" has an invalid rpm/);
+  fs.writeFileSync(file, JSON.stringify({ openai: { burst: 5 } }));
+  assert.throws(() => load_limits(file), /"openai" has an invalid burst/);
+  load_limits(LIMITS_FILE);
+});
+
+test('tokens are estimated from the prompt characters and the output limit', () => {
+  assert.equal(estimate_prompt_tokens([{ role: 'system', content: 'abcd' }, { role: 'user', content: 'abcde' }]), 3);
+  assert.equal(estimate_tokens([{ role: 'system', content: 'abcd' }, { role: 'user', content: 'abcde' }], 100), 103);
+});
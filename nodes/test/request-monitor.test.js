@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+process.env.CONFIG_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'request-monitor-'));
+process.env.REQUEST_STUCK_AFTER_MS = '300000';
+process.env.REQUEST_MONITOR_INTERVAL_MS = '60000';
+delete process.env.ALERT_WEBHOOK_URL;
+
+const { initialize_request_monitor, terminate_request_monitor, on_monitor_event } = require('../request-monitor.js');
+
+const CONTRACT_ADDRESS = '0x' + '3e'.repeat(20);
+const NODES = ['0x' + 'a1'.repeat(20), '0x' + 'b2'.repeat(20), '0x' + 'c3'.repeat(20)];
+const REQUESTS_FILE = path.join(process.env.CONFIG_PATH, CONTRACT_ADDRESS + '.open-requests.json');
+const ALERTS_FILE = path.join(process.env.CONFIG_PATH, CONTRACT_ADDRESS + '.alerts.jsonl');
+
+// The contract's view of each request: its caller (zero when it doesn't exist) and submissions ([node, result])
+function fake_contract(requests) {
+  const hash = (result) => ethers.id(result);
+  return {
+    getAuthorizedNodes: async () => NODES,
+    getRequestInfo: async (id) => ({ caller: requests[id]?.caller ?? ethers.ZeroAddress, redundancy: 2n }),
+    submissionCount: async (id) => BigInt(requests[id].submissions.length),
+    submissions: async (id, i) => [requests[id].submissions[i][0], hash(requests[id].submissions[i][1])],
+    results: async (id, resultHash) => requests[id].submissions.find(([, result]) => hash(result) === resultHash)[1]
+  };
+}
+
+function event(eventName, requestId, args = {}) {
+  return { eventName, args: { requestId: BigInt(requestId), ...args }, blockNumber: 100 + requestId };
+}
+
+function alerts() {
+  return fs.existsSync(ALERTS_FILE)
+    ? fs.readFileSync(ALERTS_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    : [];
+}
+
+test('requests without consensus or still open after the threshold are reported once', async (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 1000000 });
+  const caller = '0x' + 'ca'.repeat(20);
+  initialize_request_monitor(fake_contract({
+    1: { caller, submissions: [[NODES[0], 'yes']] },
+    2: { caller, submissions: [[NODES[0], 'yes'], [NODES[1], 'no'], [NODES[2], 'yes']] }
+  }), CONTRACT_ADDRESS);
+  t.after(() => terminate_request_monitor());
+
+  // The next check, and the work it starts
+  const check = async () => {
+    t.mock.timers.tick(60000);
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  for (const id of [1, 2, 3, 4]) on_monitor_event(event('NewRequest', id));
+  for (const node of NODES) on_monitor_event(event('ResultSubmitted', 2, { node }));
+  on_monitor_event(event('Processed', 3, { callbackSuccess: true }));
+  // Events are written at the next check, not one by one
+  assert.equal(fs.existsSync(REQUESTS_FILE), false);
+
+  await check();
+  assert.deepEqual(alerts().map(alert => [alert.type, alert.requestId]), [['no_consensus', '2']]);
+  assert.deepEqual(alerts()[0].results, [
+    { resultHash: ethers.id('yes'), nodes: [NODES[0], NODES[2]], result: 'yes' },
+    { resultHash: ethers.id('no'), nodes: [NODES[1]], result: 'no' }
+  ]);
+  assert.equal(alerts()[0].distinctResults, 2);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(REQUESTS_FILE, 'utf8'))), ['1', '2', '4']);
+
+  for (let i = 0; i < 4; i++) await check();
+  // Request 4 doesn't exist anymore (its Processed event was missed): dropped without an alert
+  assert.deepEqual(alerts().map(alert => [alert.type, alert.requestId, alert.openForMs]), [
+    ['no_consensus', '2', 60000],
+    ['stuck', '1', 300000]
+  ]);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(REQUESTS_FILE, 'utf8'))), ['1', '2']);
+
+  await check();
+  assert.equal(alerts().length, 2);
+
+  // Reported requests that complete are reported as resolved, and written on shutdown
+  on_monitor_event(event('Processed', 1, { callbackSuccess: true }));
+  assert.deepEqual(alerts()[2], {
+    type: 'resolved', contract: CONTRACT_ADDRESS, requestId: '1', time: Date.now(), openForMs: 360000, callbackSuccess: true
+  });
+  terminate_request_monitor();
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(REQUESTS_FILE, 'utf8'))), ['2']);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parse_normalize, normalize_result } = require('../result-normalize.js');
+
+function normalize(text, steps) {
+  return normalize_result(text, parse_normalize(steps));
+}
+
+test('steps are parsed from a name or a list', () => {
+  assert.deepEqual(parse_normalize('trim'), [{ mode: 'trim' }]);
+  assert.deepEqual(parse_normalize(['lowercase', 'round:2']), [{ mode: 'lowercase' }, { mode: 'round', decimals: 2 }]);
+});
+
+test('invalid steps are rejected', () => {
+  assert.throws(() => parse_normalize([]), /must be a step/);
+  assert.throws(() => parse_normalize('upper'), /unknown step "upper"/);
+  assert.throws(() => parse_normalize('round'), /round needs a number of decimals/);
+  assert.throws(() => parse_normalize('round:19'), /up to 18/);
+  assert.throws(() => parse_normalize('trim:1'), /takes no argument/);
+  assert.throws(() => parse_normalize([{ mode: 'trim' }]), /unknown step/);
+});
+
+test('equivalent text answers become identical', () => {
+  const steps = ['nfc', 'trim', 'lowercase', 'strip_punctuation'];
+  assert.equal(normalize('  Positive.\n', steps), 'positive');
+  assert.equal(normalize('POSITIVE!!', steps), 'positive');
+  assert.equal(normalize('Cafe\u0301…', steps), 'caf\u00e9');
+  // Only trailing punctuation goes
+  assert.equal(normalize('U.S.A.', ['strip_punctuation']), 'U.S.A');
+});
+
+test('steps apply in order', () => {
+  assert.equal(normalize(' A. ', ['strip_punctuation', 'lowercase']), ' a');
+  assert.equal(normalize(' A. ', ['trim', 'strip_punctuation', 'lowercase']), 'a');
+});
+
+test('json writes canonical JSON', () => {
+  assert.equal(normalize('{ "b": 1, "a": { "d": [1, 2], "c": null } }', 'json'), '{"a":{"c":null,"d":[1,2]},"b":1}');
+  assert.equal(normalize('{"b":1,"a":2}', 'json'), normalize('{"a":2, "b":1}', 'json'));
+  assert.throws(() => normalize('not json', 'json'), /result is not valid JSON/);
+});
+
+test('round fixes the decimals of a number or of every number in JSON', () => {
+  assert.equal(normalize('3.14159', 'round:2'), '3.14');
+  assert.equal(normalize(' 2 ', 'round:2'), '2.00');
+  assert.equal(normalize('1e3', 'round:0'), '1000');
+  assert.equal(normalize('{"x": 0.125, "y": [1.005, "2.555"]}', 'round:1'), '{"x":0.1,"y":[1,"2.555"]}');
+  assert.throws(() => normalize('about 3', 'round:1'), /cannot be rounded/);
+});
+
+test('a missing result is normalised as empty text', () => {
+  assert.equal(normalize(null, 'trim'), '');
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.RPC_POLLING_INTERVAL_MS = '10';
+
+const { ethers } = require('ethers');
+const { FailoverProvider } = require('../rpc-provider.js');
+
+const ADDRESS = '0x' + '11'.repeat(20);
+const TOPIC = ethers.id('Ping()');
+
+// JSON-RPC endpoint whose chain has one log per block; eth_getLogs answers HTTP 502 while `chain.failing`
+function start_rpc(chain) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const call = JSON.parse(body);
+      let result;
+      if (call.method === 'eth_chainId') {
+        result = '0x7a69';
+      } else if (call.method === 'eth_blockNumber') {
+        chain.blockNumberCalls++;
+        result = ethers.toQuantity(chain.head);
+      } else if (call.method === 'eth_getLogs') {
+        chain.getLogs.push(call.params[0]);
+        if (chain.failing) {
+          res.statusCode = 502;
+          res.end('Bad Gateway');
+          return;
+        }
+        const from = Number(call.params[0].fromBlock);
+        const to = Number(call.params[0].toBlock);
+        chain.ranges.push([from, to]);
+        result = [];
+        for (let b = from; b <= to; b++) {
+          result.push({
+            address: ADDRESS,
+            topics: [TOPIC],
+            data: '0x',
+            blockNumber: ethers.toQuantity(b),
+            blockHash: ethers.id('block ' + b),
+            transactionHash: ethers.id('tx ' + b),
+            transactionIndex: '0x0',
+            logIndex: '0x0',
+            removed: false
+          });
+        }
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: call.id, result }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function wait_until(condition, timeout = 5000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() - started > timeout) return reject(new Error('timed out'));
+      setTimeout(check, 5);
+    };
+    check();
+  });
+}
+
+async function subscribe(chain, t) {
+  const server = await start_rpc(chain);
+  const provider = new FailoverProvider({ rpc: [`http://127.0.0.1:${server.address().port}`], chainId: 31337 });
+  t.after(() => {
+    provider.destroy();
+    server.close();
+  });
+  const blocks = [];
+  await provider.on({ address: ADDRESS, topics: [TOPIC] }, (log) => blocks.push(log.blockNumber));
+  // Let the subscribers take the first head (the block subscriber polls again once it has)
+  await wait_until(() => chain.blockNumberCalls >= 3);
+  return blocks;
+}
+
+test('failed eth_getLogs calls are retried over the same range without an unhandled rejection', async (t) => {
+  const rejections = [];
+  const on_rejection = (reason) => rejections.push(reason);
+  process.on('unhandledRejection', on_rejection);
+  t.after(() => process.off('unhandledRejection', on_rejection));
+
+  const chain = { head: 100, failing: true, getLogs: [], ranges: [], blockNumberCalls: 0 };
+  const blocks = await subscribe(chain, t);
+  chain.head = 103;
+  await wait_until(() => chain.getLogs.length >= 1);
+  chain.head = 105;
+  await wait_until(() => chain.getLogs.length >= 2);
+  assert.deepEqual(blocks, []);
+
+  chain.failing = false;
+  chain.head = 106;
+  await wait_until(() => blocks.length === 6);
+  assert.deepEqual(blocks, [101, 102, 103, 104, 105, 106]);
+  assert.equal(chain.ranges[0][0], 101);
+  assert.deepEqual(rejections, []);
+});
+
+test('a long range is read in chunks', async (t) => {
+  const chain = { head: 10, failing: true, getLogs: [], ranges: [], blockNumberCalls: 0 };
+  const blocks = await subscribe(chain, t);
+  chain.head = 2510;
+  await wait_until(() => chain.getLogs.length >= 1);
+
+  chain.failing = false;
+  chain.head = 2511;
+  await wait_until(() => blocks.length === 2501, 10000);
+  assert.deepEqual(chain.ranges.slice(0, 2), [[11, 1010], [1011, 2010]]);
+  assert.ok(chain.ranges.every(([from, to]) => to - from < 1000));
+});
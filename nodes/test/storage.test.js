@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CONFIG_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+process.env.STORAGE_BACKENDS = 'local,http';
+process.env.STORAGE_SERVICE_URL = 'http://storage';
+process.env.STORAGE_CACHE_MAX_BYTES = '100';
+
+const { sha256_hex } = require('../storage-backends.js');
+const { getContent, storeContent } = require('../storage.js');
+
+const LOCAL_DIR = path.join(process.env.CONFIG_PATH, 'storage');
+const CACHE_DIR = path.join(process.env.CONFIG_PATH, 'content-cache');
+
+// The HTTP backend serves `blobs` (hash -> content)
+function stub_storage_service(t, blobs) {
+  const calls = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    calls.push(String(url));
+    const content = blobs.get(String(url).split('/').pop());
+    return content ? new Response(content) : new Response('', { status: 404 });
+  };
+  t.after(() => { globalThis.fetch = original; });
+  return calls;
+}
+
+test('content that does not hash to the requested hash is rejected and the next backend is tried', async (t) => {
+  const content = Buffer.from('hello world');
+  const hash = sha256_hex(content);
+  fs.mkdirSync(LOCAL_DIR, { recursive: true });
+  fs.writeFileSync(path.join(LOCAL_DIR, hash), 'tampered');
+  const calls = stub_storage_service(t, new Map([[hash, content]]));
+
+  assert.deepEqual(await getContent(hash), content);
+  assert.deepEqual(calls, [`http://storage/content/${hash}`]);
+  // Verified content is cached: no second download
+  assert.deepEqual(fs.readFileSync(path.join(CACHE_DIR, hash)), content);
+  assert.deepEqual(await getContent(hash.toUpperCase()), content);
+  assert.equal(calls.length, 1);
+
+  // No backend has the right content
+  const other = sha256_hex('other');
+  fs.writeFileSync(path.join(LOCAL_DIR, other), 'tampered');
+  assert.equal(await getContent(other), null);
+  assert.equal(fs.existsSync(path.join(CACHE_DIR, other)), false);
+  assert.equal(await getContent('not-a-hash'), null);
+});
+
+test('a corrupt cache file is dropped and the content fetched again', async (t) => {
+  const content = Buffer.from('cached content');
+  const hash = sha256_hex(content);
+  const calls = stub_storage_service(t, new Map([[hash, content]]));
+  assert.deepEqual(await getContent(hash), content);
+
+  fs.writeFileSync(path.join(CACHE_DIR, hash), 'corrupted on disk');
+  assert.deepEqual(await getContent(hash), content);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(fs.readFileSync(path.join(CACHE_DIR, hash)), content);
+});
+
+test('the cache evicts the least recently used content to stay within its size limit', async (t) => {
+  stub_storage_service(t, new Map());
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 1000 });
+  const [a, b, c] = ['a', 'b', 'c'].map(letter => Buffer.alloc(40, letter));
+
+  const hash_a = await storeContent(a);
+  t.mock.timers.tick(1000);
+  const hash_b = await storeContent(b);
+  t.mock.timers.tick(1000);
+  assert.deepEqual(await getContent(hash_a), a);
+  t.mock.timers.tick(1000);
+  const hash_c = await storeContent(c);
+
+  const cached = fs.readdirSync(CACHE_DIR);
+  assert.deepEqual(cached.sort(), [hash_a, hash_c].sort());
+  assert.ok(cached.reduce((sum, name) => sum + fs.statSync(path.join(CACHE_DIR, name)).size, 0) <= 100);
+  // Still in the write backend
+  assert.deepEqual(await getContent(hash_b), b);
+});
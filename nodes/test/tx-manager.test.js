@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { ethers } = require('ethers');
+
+process.env.CONFIG_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'tx-manager-'));
+process.env.TX_REPLACE_AFTER_MS = '1';
+process.env.TX_POLL_INTERVAL_MS = '5';
+process.env.TX_MAX_REPLACEMENTS = '2';
+const { TX_ERROR, initialize_tx_manager, send_transaction, wait_for_transaction } = require('../tx-manager.js');
+const { RemoteSigner } = require('../node-wallet.js');
+
+const CONTRACT_ADDRESS = '0x' + '11'.repeat(20);
+const ACCOUNT = ethers.Wallet.createRandom().address;
+
+// A chain that mines a transaction when it is sent, if `mine(tx)` says so
+function fake_chain(options = {}) {
+  const chain = {
+    sent: [],
+    receipts: new Map(),
+    nonce: 0,                       // next nonce to be mined
+    mine: options.mine || (() => true),
+    status: options.status ?? 1,
+    revertReason: options.revertReason || null
+  };
+  chain.provider = {
+    getFeeData: async () => new ethers.FeeData(null, 1000n, 100n),
+    getTransactionCount: async (address, tag) =>
+      tag === 'pending' ? Math.max(chain.nonce, ...chain.sent.map(tx => tx.nonce + 1)) : chain.nonce,
+    getTransactionReceipt: async (hash) => chain.receipts.get(hash) || null,
+    call: async () => {
+      throw Object.assign(new Error('execution reverted'), { reason: chain.revertReason });
+    }
+  };
+  chain.record = (tx) => {
+    const hash = ethers.id(`${tx.nonce}/${chain.sent.length}`);
+    chain.sent.push({ ...tx, hash });
+    if (chain.mine(tx)) {
+      chain.receipts.set(hash, { hash, status: chain.status, blockNumber: 1, gasUsed: 21000n, gasPrice: 1n });
+      chain.nonce = Math.max(chain.nonce, tx.nonce + 1);
+    }
+    return hash;
+  };
+  chain.signer = {
+    address: ACCOUNT,
+    sendTransaction: async (tx) => ({ hash: chain.record(tx) })
+  };
+  chain.contract = {
+    interface: new ethers.Interface(['function sendResult(uint256 requestId, string result)']),
+    getAddress: async () => CONTRACT_ADDRESS,
+    sendResult: {
+      estimateGas: async () => {
+        if (options.estimateRevert) {
+          throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', reason: options.estimateRevert });
+        }
+        return 50000n;
+      }
+    }
+  };
+  initialize_tx_manager({ provider: chain.provider, signer: chain.signer, contract: chain.contract, contractAddress: CONTRACT_ADDRESS });
+  return chain;
+}
+
+test('concurrent transactions get consecutive nonces', async () => {
+  const chain = fake_chain();
+  const receipts = await Promise.all([
+    send_transaction('a1', 'sendResult', [1, 'one']),
+    send_transaction('a2', 'sendResult', [2, 'two']),
+    send_transaction('a3', 'sendResult', [3, 'three'])
+  ]);
+  assert.deepEqual(chain.sent.map(tx => tx.nonce), [0, 1, 2]);
+  assert.equal(chain.sent[0].gasLimit, 60000n);   // estimate + 20%
+  assert.deepEqual(receipts.map(receipt => receipt.status), [1, 1, 1]);
+});
+
+test('a stuck transaction is replaced with the same nonce and bumped fees', async () => {
+  const chain = fake_chain({ mine: (tx) => tx.maxFeePerGas > 1000n });
+  const hashes = [];
+  const receipt = await send_transaction('b1', 'sendResult', [1, 'one'], { onSent: (hash) => hashes.push(hash) });
+  assert.equal(chain.sent.length, 2);
+  assert.equal(chain.sent[1].nonce, chain.sent[0].nonce);
+  assert.equal(chain.sent[1].maxFeePerGas, 1151n);          // +15%, +1
+  assert.equal(chain.sent[1].maxPriorityFeePerGas, 116n);
+  assert.deepEqual(hashes, chain.sent.map(tx => tx.hash));
+  assert.equal(receipt.hash, chain.sent[1].hash);
+});
+
+test('a transaction is given up after the last replacement allowed', async () => {
+  const chain = fake_chain({ mine: () => false });
+  await assert.rejects(send_transaction('c1', 'sendResult', [1, 'one']), { code: TX_ERROR.NOT_MINED });
+  assert.equal(chain.sent.length, 3);                       // the transaction and 2 replacements
+  assert.equal(wait_for_transaction('c1'), null);
+});
+
+test('the next transaction takes the nonce of a given-up one, which would hold back later nonces', async () => {
+  fs.rmSync(path.join(process.env.CONFIG_PATH, CONTRACT_ADDRESS + '.txs.json'), { force: true });
+  const chain = fake_chain({ mine: () => false });
+  await assert.rejects(send_transaction('c2', 'sendResult', [1, 'one']), { code: TX_ERROR.NOT_MINED });
+  const stuck = chain.sent[chain.sent.length - 1];
+
+  // Kept after a restart
+  initialize_tx_manager({ provider: chain.provider, signer: chain.signer, contract: chain.contract, contractAddress: CONTRACT_ADDRESS });
+  chain.mine = () => true;
+  const receipt = await send_transaction('c3', 'sendResult', [2, 'two']);
+  const replacement = chain.sent[3];
+  assert.equal(receipt.hash, replacement.hash);
+  assert.equal(replacement.nonce, stuck.nonce);
+  assert.ok(replacement.maxFeePerGas > stuck.maxFeePerGas * 11n / 10n);
+
+  // Then back to new nonces
+  await send_transaction('c4', 'sendResult', [3, 'three']);
+  assert.equal(chain.sent[4].nonce, stuck.nonce + 1);
+});
+
+test('a transaction that would revert is not sent', async () => {
+  const chain = fake_chain({ estimateRevert: 'already submitted' });
+  await assert.rejects(send_transaction('d1', 'sendResult', [1, 'one']), { code: TX_ERROR.ALREADY_SUBMITTED });
+  assert.equal(chain.sent.length, 0);
+});
+
+test('a reverted transaction is classified by its revert reason', async () => {
+  fake_chain({ status: 0, revertReason: 'request not found' });
+  await assert.rejects(send_transaction('e1', 'sendResult', [1, 'one']), (error) => {
+    assert.equal(error.code, TX_ERROR.REQUEST_NOT_FOUND);
+    assert.equal(error.receipt.status, 0);
+    return true;
+  });
+});
+
+test('pending transactions are watched again after a restart', async () => {
+  const txsFile = path.join(process.env.CONFIG_PATH, CONTRACT_ADDRESS + '.txs.json');
+  const hash = ethers.id('pending');
+  fs.writeFileSync(txsFile, JSON.stringify({
+    f1: { id: 'f1', to: CONTRACT_ADDRESS, data: '0x', nonce: 4, gasLimit: '60000', fees: { gasPrice: '1000' }, hashes: [hash], sentAt: Date.now(), replacements: 0 }
+  }));
+  const chain = fake_chain();
+  chain.receipts.set(hash, { hash, status: 1, blockNumber: 1, gasUsed: 21000n, gasPrice: 1n });
+  chain.nonce = 5;
+
+  const receipt = await wait_for_transaction('f1');
+  assert.equal(receipt.hash, hash);
+  assert.deepEqual(JSON.parse(fs.readFileSync(txsFile, 'utf8')), {});
+});
+
+test('transactions are signed by a remote signer', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', async () => {
+      const call = JSON.parse(body);
+      const { from, input, gas, ...tx } = call.params[0];
+      const raw = await wallet.signTransaction({ ...tx, gasLimit: gas });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: call.id, result: raw }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const chain = fake_chain();
+    chain.provider.getNetwork = async () => ethers.Network.from(31337);
+    chain.provider.broadcastTransaction = async (raw) => {
+      const tx = ethers.Transaction.from(raw);
+      return { hash: chain.record({ from: tx.from, nonce: tx.nonce, data: tx.data, maxFeePerGas: tx.maxFeePerGas }) };
+    };
+    const signer = new RemoteSigner(`http://127.0.0.1:${server.address().port}`, wallet.address, chain.provider);
+    initialize_tx_manager({ provider: chain.provider, signer, contract: chain.contract, contractAddress: CONTRACT_ADDRESS });
+
+    const receipt = await send_transaction('g1', 'sendResult', [7, 'seven']);
+    assert.equal(receipt.status, 1);
+    assert.equal(chain.sent[0].from, wallet.address);
+    assert.equal(chain.sent[0].data, chain.contract.interface.encodeFunctionData('sendResult', [7, 'seven']));
+  } finally {
+    server.close();
+  }
+});
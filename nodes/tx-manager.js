@@ -0,0 +1,374 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { read_json, write_json_atomic } = require('./json-file.js');
+
+// Transaction manager for the node's account
+//
+// Owns the account's nonce so concurrent submissions never race: transactions are estimated and
+// sent one at a time, then watched until mined. A transaction not mined after TX_REPLACE_AFTER_MS
+// is replaced (same nonce and data) with fees bumped by TX_FEE_BUMP_PERCENT. Pending transactions
+// are persisted to <contract>.txs.json and watched again after a restart. After TX_MAX_REPLACEMENTS
+// replacements, or when the next one would exceed TX_MAX_FEE_GWEI, the transaction is given up and
+// the request is left to the next node. A given-up transaction usually stays in the mempool and holds
+// its nonce, so it keeps its record (`abandoned`) and the next transaction takes its nonce to replace it.
+
+const CONFIG_PATH = process.env.CONFIG_PATH || __dirname;
+
+const REPLACE_AFTER = parseInt(process.env.TX_REPLACE_AFTER_MS) || 60000;
+const FEE_BUMP_PERCENT = Math.max(parseInt(process.env.TX_FEE_BUMP_PERCENT) || 15, 10); // nodes require at least 10%
+const MAX_REPLACEMENTS = parseInt(process.env.TX_MAX_REPLACEMENTS) || 10;
+const MAX_FEE = process.env.TX_MAX_FEE_GWEI ? ethers.parseUnits(process.env.TX_MAX_FEE_GWEI, 'gwei') : null;
+const POLL_INTERVAL = parseInt(process.env.TX_POLL_INTERVAL_MS) || 4000;
+const GAS_BUFFER_PERCENT = 20;
+
+// Why a transaction failed (the `code` of the error thrown by send_transaction)
+const TX_ERROR = {
+  ALREADY_SUBMITTED: 'ALREADY_SUBMITTED',   // this node already has a submission for the request
+  REQUEST_NOT_FOUND: 'REQUEST_NOT_FOUND',   // the request doesn't exist or was processed
+  NOT_AUTHORIZED: 'NOT_AUTHORIZED',         // this node is not an authorized node
+  OUT_OF_GAS: 'OUT_OF_GAS',
+  REVERTED: 'REVERTED',                     // any other revert
+  DROPPED: 'DROPPED',                       // the nonce was used by a transaction we don't know
+  NOT_MINED: 'NOT_MINED'                    // still not mined after the last replacement allowed
+};
+
+// Revert reasons of the LLMService contract
+const REVERT_REASONS = {
+  'already submitted': TX_ERROR.ALREADY_SUBMITTED,
+  'request not found': TX_ERROR.REQUEST_NOT_FOUND,
+  'LLMService: not authorized': TX_ERROR.NOT_AUTHORIZED
+};
+
+let provider = null;
+let signer = null;
+let contract = null;
+let txs_file_path = null;
+let txs = {};                   // id -> { id, to, data, nonce, gasLimit, fees, hashes, sentAt, replacements, abandoned }
+let next_nonce = null;          // null: read it from the network before the next send
+let send_queue = Promise.resolve();
+const watchers = new Map();     // id -> promise of the receipt
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function read_txs() {
+  return read_json(txs_file_path, 'pending transactions file');
+}
+
+function write_txs() {
+  write_json_atomic(txs_file_path, txs, 'pending transactions file');
+}
+
+function tx_error(code, message, receipt) {
+  const error = new Error(message);
+  error.code = code;
+  if (receipt) {
+    error.receipt = receipt;
+  }
+  return error;
+}
+
+function revert_error(reason, receipt) {
+  const code = REVERT_REASONS[reason] || (/out of gas/i.test(reason) ? TX_ERROR.OUT_OF_GAS : TX_ERROR.REVERTED);
+  return tx_error(code, `transaction reverted: ${reason}`, receipt);
+}
+
+// Fees are { maxFeePerGas, maxPriorityFeePerGas } (EIP-1559) or { gasPrice }, stored as strings
+function fees_to_json(fees) {
+  return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()]));
+}
+
+function fees_from_json(fees) {
+  return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, BigInt(value)]));
+}
+
+async function current_fees() {
+  const feeData = await provider.getFeeData();
+  if (feeData.maxFeePerGas !== null) {
+    return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+  }
+  return { gasPrice: feeData.gasPrice };
+}
+
+// A replacement must raise every fee by the bump, and at least to what the network asks now
+function bump_fees(fees, current) {
+  const bumped = {};
+  for (const [key, value] of Object.entries(fees)) {
+    const min = value * BigInt(100 + FEE_BUMP_PERCENT) / 100n + 1n;
+    bumped[key] = current[key] !== undefined && current[key] > min ? current[key] : min;
+  }
+  if (bumped.maxPriorityFeePerGas > bumped.maxFeePerGas) {
+    bumped.maxFeePerGas = bumped.maxPriorityFeePerGas;
+  }
+  return bumped;
+}
+
+function format_fees(fees) {
+  return ethers.formatUnits(fees.maxFeePerGas ?? fees.gasPrice, 'gwei') + ' gwei';
+}
+
+// Next nonce: the network's pending count, past the transactions we are still watching
+async function sync_nonce() {
+  const count = await provider.getTransactionCount(signer.address, 'pending');
+  next_nonce = Math.max(count, ...Object.values(txs).map(record => record.nonce + 1));
+}
+
+async function broadcast(record) {
+  const tx = await signer.sendTransaction({
+    to: record.to,
+    data: record.data,
+    nonce: record.nonce,
+    gasLimit: BigInt(record.gasLimit),
+    ...fees_from_json(record.fees)
+  });
+  record.hashes.push(tx.hash);
+  record.sentAt = Date.now();
+  write_txs();
+  return tx.hash;
+}
+
+// The given-up transaction whose nonce the next one should take (the id's own first), dropping those since mined
+async function take_abandoned(id) {
+  const abandoned = Object.values(txs).filter(record => record.abandoned);
+  if (abandoned.length === 0) return null;
+  const mined = await provider.getTransactionCount(signer.address, 'latest');
+  for (const record of abandoned) {
+    if (record.nonce < mined) {
+      delete txs[record.id];
+    }
+  }
+  write_txs();
+  if (txs[id] && txs[id].abandoned) return txs[id];
+  return Object.values(txs).filter(record => record.abandoned).sort((a, b) => a.nonce - b.nonce)[0] || null;
+}
+
+// Estimate, take a nonce and send (called one at a time through send_queue)
+async function send_new(id, method, args) {
+  if (txs[id] && !txs[id].abandoned) {
+    throw new Error(`Transaction ${id} is already pending`);
+  }
+
+  let gasEstimate;
+  try {
+    gasEstimate = await contract[method].estimateGas(...args);
+  } catch (error) {
+    // The transaction would revert: no need to send it
+    if (error.code === 'CALL_EXCEPTION') {
+      throw revert_error(error.reason || error.shortMessage || 'unknown reason');
+    }
+    throw error;
+  }
+
+  const fees = await current_fees();
+  const record = {
+    id,
+    to: await contract.getAddress(),
+    data: contract.interface.encodeFunctionData(method, args),
+    nonce: null,
+    gasLimit: (gasEstimate * BigInt(100 + GAS_BUFFER_PERCENT) / 100n).toString(),
+    fees: fees_to_json(fees),
+    hashes: [],
+    sentAt: null,
+    replacements: 0
+  };
+
+  for (let attempt = 1; ; ) {
+    // Later nonces would wait behind a given-up transaction: take its nonce, with its fees bumped
+    const stuck = await take_abandoned(id);
+    if (stuck) {
+      const bumped = bump_fees(fees_from_json(stuck.fees), fees);
+      if (MAX_FEE && (bumped.maxFeePerGas ?? bumped.gasPrice) > MAX_FEE) {
+        throw tx_error(TX_ERROR.NOT_MINED, `nonce ${stuck.nonce} is held by given-up transaction ${stuck.id}, ` +
+          `and replacing it would exceed TX_MAX_FEE_GWEI (${format_fees(bumped)})`);
+      }
+      delete txs[stuck.id];
+      record.nonce = stuck.nonce;
+      record.fees = fees_to_json(bumped);
+    } else {
+      if (next_nonce === null) {
+        await sync_nonce();
+      }
+      record.nonce = next_nonce;
+      record.fees = fees_to_json(fees);
+    }
+    txs[id] = record;
+    try {
+      await broadcast(record);
+      if (stuck) {
+        console.log(`Transaction ${id} replaces given-up transaction ${stuck.id} (nonce ${stuck.nonce})`);
+      } else {
+        next_nonce++;
+      }
+      return record;
+    } catch (error) {
+      delete txs[id];
+      if (stuck) {
+        // NONCE_EXPIRED: the given-up transaction was mined meanwhile, try the next nonce. Otherwise it still holds it
+        if (error.code === 'NONCE_EXPIRED') {
+          write_txs();
+          continue;
+        }
+        txs[stuck.id] = stuck;
+        write_txs();
+        throw error;
+      }
+      write_txs();
+      // The nonce may not have been used (or was used outside this process): read it again
+      next_nonce = null;
+      if (error.code !== 'NONCE_EXPIRED' || attempt >= 2) {
+        throw error;
+      }
+      attempt++;
+      console.warn(`Nonce ${record.nonce} already used, retrying transaction ${id} with the network's nonce`);
+    }
+  }
+}
+
+async function find_receipt(record) {
+  for (const hash of record.hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+async function check_receipt(record, receipt) {
+  if (receipt.status === 1) {
+    return receipt;
+  }
+  if (receipt.gasUsed >= BigInt(record.gasLimit)) {
+    throw tx_error(TX_ERROR.OUT_OF_GAS, `transaction ran out of gas (limit ${record.gasLimit})`, receipt);
+  }
+  // Replay the call in the block to read the revert reason
+  try {
+    await provider.call({ to: record.to, data: record.data, from: signer.address, blockTag: receipt.blockNumber });
+  } catch (error) {
+    throw revert_error(error.reason || error.shortMessage || 'unknown reason', receipt);
+  }
+  throw revert_error('unknown reason', receipt);
+}
+
+// Send the transaction again with higher fees (or for the first time, if the process stopped before sending it)
+// (throws NOT_MINED when no more replacement is allowed)
+async function replace(record, onSent) {
+  record.sentAt = Date.now();
+  if (record.replacements >= MAX_REPLACEMENTS) {
+    throw tx_error(TX_ERROR.NOT_MINED, `transaction not mined after ${record.replacements} replacements`);
+  }
+  const fees = record.hashes.length > 0
+    ? bump_fees(fees_from_json(record.fees), await current_fees())
+    : fees_from_json(record.fees);
+  if (MAX_FEE && (fees.maxFeePerGas ?? fees.gasPrice) > MAX_FEE) {
+    throw tx_error(TX_ERROR.NOT_MINED, `transaction not mined, and replacing it would exceed TX_MAX_FEE_GWEI (${format_fees(fees)})`);
+  }
+
+  // The bumped fees are kept even if sending fails (e.g. still underpriced), so the next bump goes higher
+  record.fees = fees_to_json(fees);
+  try {
+    const hash = await broadcast(record);
+    record.replacements++;
+    console.log(`Replaced transaction ${record.id} (nonce ${record.nonce}) with ${hash} at ${format_fees(fees)}`);
+    if (onSent) onSent(hash);
+  } catch (error) {
+    // NONCE_EXPIRED: one of the transactions was mined meanwhile
+    console.warn(`Replacing transaction ${record.id} failed: ${error.shortMessage || error.message}`);
+  }
+}
+
+async function watch_loop(record, onSent) {
+  for (;;) {
+    // Read the nonce first: if it is used and none of our receipts is found after, another transaction took it
+    const nonceUsed = await provider.getTransactionCount(signer.address, 'latest') > record.nonce;
+    const receipt = await find_receipt(record);
+    if (receipt) {
+      return check_receipt(record, receipt);
+    }
+    if (nonceUsed) {
+      throw tx_error(TX_ERROR.DROPPED, `nonce ${record.nonce} was used by another transaction`);
+    }
+    if (Date.now() - record.sentAt >= REPLACE_AFTER) {
+      await replace(record, onSent);
+    }
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+function watch(record, onSent) {
+  if (!watchers.has(record.id)) {
+    let abandoned = false;
+    const watcher = watch_loop(record, onSent).catch((error) => {
+      if (error.code === TX_ERROR.NOT_MINED) {
+        // It may still hold its nonce in the mempool: the next transaction replaces it
+        console.warn(`Giving up transaction ${record.id} (nonce ${record.nonce}): ${error.message}`);
+        abandoned = true;
+      }
+      throw error;
+    }).finally(() => {
+      if (abandoned) {
+        record.abandoned = true;
+      } else {
+        delete txs[record.id];
+      }
+      write_txs();
+      watchers.delete(record.id);
+    });
+    watchers.set(record.id, watcher);
+  }
+  return watchers.get(record.id);
+}
+
+/**
+ * Load the transactions left pending by the previous run and watch them again
+ * @param {object} options - provider, signer (with `address`), contract, contractAddress
+ */
+function initialize_tx_manager(options) {
+  provider = options.provider;
+  signer = options.signer;
+  contract = options.contract;
+  txs_file_path = path.join(CONFIG_PATH, options.contractAddress.toLowerCase() + '.txs.json');
+  txs = read_txs();
+  next_nonce = null;
+
+  for (const record of Object.values(txs)) {
+    if (record.abandoned) continue;
+    console.log(`Watching transaction ${record.id} (nonce ${record.nonce}) pending from the previous run`);
+    // The outcome goes to whoever waits for it (wait_for_transaction)
+    watch(record).catch(() => {});
+  }
+}
+
+/**
+ * Send a contract call and wait until it is mined, replacing it with higher fees while it is stuck
+ * @param {string} id - Identifies the transaction (one pending transaction per id)
+ * @param {string} method - The contract method
+ * @param {Array} args - Its arguments
+ * @param {object} [options] - `onSent(hash)`: called for the transaction and each replacement
+ * @returns {Promise<object>} - The receipt. Throws an error with a TX_ERROR `code` (and the `receipt`
+ *                              when mined) if the transaction reverted, or would revert
+ */
+async function send_transaction(id, method, args, options = {}) {
+  const sent = send_queue.then(() => send_new(id, method, args));
+  send_queue = sent.catch(() => {});
+  const record = await sent;
+  if (options.onSent) {
+    options.onSent(record.hashes[0]);
+  }
+  return watch(record, options.onSent);
+}
+
+/**
+ * The outcome of a transaction still pending (e.g. from the previous run)
+ * @param {string} id - The transaction id
+ * @returns {Promise<object>|null} - As send_transaction, or null when no such transaction is pending
+ */
+function wait_for_transaction(id) {
+  return watchers.get(id) || null;
+}
+
+module.exports = {
+  TX_ERROR,
+  initialize_tx_manager,
+  send_transaction,
+  wait_for_transaction
+};